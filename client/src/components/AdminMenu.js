@@ -18,6 +18,12 @@ const AdminMenu = () => {
           >
             Create Product
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/coupons"
+            className="list-group-item list-group-item-action"
+          >
+            Coupons
+          </NavLink>
           <NavLink
             to="/dashboard/admin/products"
             className="list-group-item list-group-item-action"
@@ -30,12 +36,12 @@ const AdminMenu = () => {
           >
             Orders
           </NavLink>
-          {/* <NavLink
+          <NavLink
             to="/dashboard/admin/users"
             className="list-group-item list-group-item-action"
           >
             Users
-          </NavLink> */}
+          </NavLink>
         </div>
       </div>
     </>
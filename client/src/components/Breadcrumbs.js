@@ -0,0 +1,33 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+// the way down to the current page, path is the categories from the top
+// level down and the last item is the page itself
+const Breadcrumbs = ({ path = [] }) => {
+  return (
+    <nav aria-label="breadcrumb">
+      <ol className="breadcrumb">
+        <li className="breadcrumb-item">
+          <Link to="/categories">All Categories</Link>
+        </li>
+        {path.map((item, i) =>
+          i === path.length - 1 ? (
+            <li
+              className="breadcrumb-item active"
+              aria-current="page"
+              key={item._id}
+            >
+              {item.name}
+            </li>
+          ) : (
+            <li className="breadcrumb-item" key={item._id}>
+              <Link to={`/category/${item.slug}`}>{item.name}</Link>
+            </li>
+          )
+        )}
+      </ol>
+    </nav>
+  );
+};
+
+export default Breadcrumbs;
@@ -0,0 +1,26 @@
+export const Carriers = [
+  {
+    name: "UPS",
+    trackingUrl: (number) =>
+      `https://www.ups.com/track?tracknum=${encodeURIComponent(number)}`,
+  },
+  {
+    name: "FedEx",
+    trackingUrl: (number) =>
+      `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(number)}`,
+  },
+  {
+    name: "USPS",
+    trackingUrl: (number) =>
+      `https://tools.usps.com/go/TrackConfirmAction?tLabels=${encodeURIComponent(
+        number
+      )}`,
+  },
+  {
+    name: "DHL",
+    trackingUrl: (number) =>
+      `https://www.dhl.com/en/express/tracking.html?AWB=${encodeURIComponent(
+        number
+      )}`,
+  },
+];
@@ -1,6 +1,14 @@
 import React from "react";
 
-const CategoryForm = ({ handleSubmit, value, setValue }) => {
+// parents lists the categories that can take this one, with their depth
+const CategoryForm = ({
+  handleSubmit,
+  value,
+  setValue,
+  parent,
+  setParent,
+  parents,
+}) => {
   return (
     <>
       <form onSubmit={handleSubmit}>
@@ -13,6 +21,23 @@ const CategoryForm = ({ handleSubmit, value, setValue }) => {
             onChange={(e) => setValue(e.target.value)}
           />
         </div>
+        {parents && (
+          <div className="mb-3">
+            <select
+              className="form-select"
+              value={parent}
+              onChange={(e) => setParent(e.target.value)}
+            >
+              <option value="">No parent (top level)</option>
+              {parents.map((c) => (
+                <option key={c._id} value={c._id}>
+                  {"— ".repeat(c.depth)}
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
 
         <button type="submit" className="btn btn-primary">
           Submit
@@ -0,0 +1,107 @@
+import React from "react";
+
+const CouponForm = ({ handleSubmit, value, setValue, categories }) => {
+  const handleChange = (field) => (e) =>
+    setValue({ ...value, [field]: e.target.value });
+
+  return (
+    <>
+      <form onSubmit={handleSubmit}>
+        <div className="mb-3">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Enter coupon code"
+            value={value.code}
+            onChange={handleChange("code")}
+          />
+        </div>
+        <div className="mb-3 d-flex">
+          <select
+            className="form-select me-2"
+            value={value.type}
+            onChange={handleChange("type")}
+          >
+            <option value="percentage">Percentage off</option>
+            <option value="fixed">Fixed amount off</option>
+          </select>
+          <input
+            type="number"
+            min="0"
+            className="form-control"
+            placeholder="Discount value"
+            value={value.value}
+            onChange={handleChange("value")}
+          />
+        </div>
+        <div className="mb-3 d-flex">
+          <input
+            type="number"
+            min="0"
+            className="form-control me-2"
+            placeholder="Minimum cart total"
+            value={value.minCartTotal}
+            onChange={handleChange("minCartTotal")}
+          />
+          <input
+            type="date"
+            className="form-control"
+            placeholder="Expiry date"
+            value={value.expiresAt}
+            onChange={handleChange("expiresAt")}
+          />
+        </div>
+        <div className="mb-3 d-flex">
+          <input
+            type="number"
+            min="0"
+            className="form-control me-2"
+            placeholder="Usage limit"
+            value={value.usageLimit}
+            onChange={handleChange("usageLimit")}
+          />
+          <input
+            type="number"
+            min="0"
+            className="form-control"
+            placeholder="Per user limit"
+            value={value.perUserLimit}
+            onChange={handleChange("perUserLimit")}
+          />
+        </div>
+        <div className="mb-3">
+          <select
+            className="form-select"
+            value={value.category}
+            onChange={handleChange("category")}
+          >
+            <option value="">All categories</option>
+            {categories?.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mb-3 form-check">
+          <input
+            type="checkbox"
+            className="form-check-input"
+            id="couponActive"
+            checked={value.active}
+            onChange={(e) => setValue({ ...value, active: e.target.checked })}
+          />
+          <label className="form-check-label" htmlFor="couponActive">
+            Active
+          </label>
+        </div>
+
+        <button type="submit" className="btn btn-primary">
+          Submit
+        </button>
+      </form>
+    </>
+  );
+};
+
+export default CouponForm;
@@ -0,0 +1,64 @@
+import React from "react";
+
+// a copy of list with the item at from moved to to
+export const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// product images in display order, the first one is the primary image
+const ImageListForm = ({ images, onMove, onRemove }) => {
+  return (
+    <div className="d-flex flex-wrap">
+      {images.map((image, i) => (
+        <div className="card m-1 p-1 text-center" key={image.key}>
+          <img
+            src={image.src}
+            alt={`product_photo_${i + 1}`}
+            height={"100px"}
+            className="img img-responsive"
+          />
+          <small>{i === 0 ? "Primary" : `#${i + 1}`}</small>
+          <div className="btn-group btn-group-sm mt-1">
+            <button
+              type="button"
+              className="btn btn-outline-secondary"
+              disabled={i === 0}
+              onClick={() => onMove(i, i - 1)}
+            >
+              ◀
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-secondary"
+              disabled={i === images.length - 1}
+              onClick={() => onMove(i, i + 1)}
+            >
+              ▶
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-danger"
+              onClick={() => onRemove(i)}
+            >
+              ✕
+            </button>
+          </div>
+          {i > 0 && (
+            <button
+              type="button"
+              className="btn btn-link btn-sm"
+              onClick={() => onMove(i, 0)}
+            >
+              Make Primary
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ImageListForm;
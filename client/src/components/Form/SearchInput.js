@@ -1,38 +1,144 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import { useSearch } from "../../context/search";
 import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { createSearchParams, useNavigate } from "react-router-dom";
+
+// wait this long after the last key before asking for suggestions
+const SUGGEST_DELAY = 250;
+// the server refuses longer prefixes, the start of the keyword is enough
+const MAX_PREFIX = 50;
+
 const SearchInput = () => {
   const [values, setValues] = useSearch();
   const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+
+  // a new list starts with nothing highlighted
+  const showSuggestions = (list) => {
+    setSuggestions(list);
+    setActive(-1);
+  };
+
+  //get suggestions while typing
+  useEffect(() => {
+    const prefix = values.keyword.trim().slice(0, MAX_PREFIX);
+    if (!open || !prefix) {
+      showSuggestions([]);
+      return;
+    }
+    // a reply that comes back after the next key is thrown away
+    let current = true;
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.get("/api/v1/product/search-suggestions", {
+          params: { prefix },
+        });
+        if (!current) return;
+        showSuggestions([
+          ...data.data.products.map((p) => ({
+            ...p,
+            path: `/product/${p.slug}`,
+          })),
+          ...data.data.categories.map((c) => ({
+            ...c,
+            path: `/category/${c.slug}`,
+            category: true,
+          })),
+        ]);
+      } catch (error) {
+        console.log(error);
+        if (current) showSuggestions([]);
+      }
+    }, SUGGEST_DELAY);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [values.keyword, open]);
 
-  const handleSubmit = async (e) => {
+  const handleSelect = (suggestion) => {
+    setOpen(false);
+    navigate(suggestion.path);
+  };
+
+  // the results page runs the search from the url
+  const handleSubmit = (e) => {
     e.preventDefault();
-    try {
-      const { data } = await axios.get(
-        `/api/v1/product/search/${values.keyword}`
-      );
-      setValues({ ...values, results: data });
-      navigate("/search");
-    } catch (error) {
-      console.log(error);
+    if (open && suggestions[active]) return handleSelect(suggestions[active]);
+    if (!values.keyword.trim()) return;
+    setOpen(false);
+    navigate({
+      pathname: "/search",
+      search: `?${createSearchParams({ keyword: values.keyword.trim() })}`,
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" && suggestions.length) {
+      e.preventDefault();
+      setActive((active + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length) {
+      e.preventDefault();
+      setActive(active <= 0 ? suggestions.length - 1 : active - 1);
+    } else if (e.key === "Escape") {
+      setOpen(false);
     }
   };
+
   return (
-    <div>
+    <div className="search-input">
       <form className="d-flex" role="search" onSubmit={handleSubmit}>
         <input
           className="form-control me-2"
           type="search"
           placeholder="Search"
           aria-label="Search"
+          role="combobox"
+          aria-controls="search-suggestions"
+          aria-autocomplete="list"
+          aria-expanded={open && suggestions.length > 0}
           value={values.keyword}
-          onChange={(e) => setValues({ ...values, keyword: e.target.value })}
+          onChange={(e) => {
+            setValues({ ...values, keyword: e.target.value });
+            setOpen(true);
+            // the list on screen is for the old keyword until the next reply
+            setActive(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setOpen(false)}
         />
         <button className="btn btn-outline-success" type="submit">
           Search
         </button>
       </form>
+      {open && suggestions.length > 0 && (
+        <ul
+          id="search-suggestions"
+          className="dropdown-menu show search-suggestions"
+          role="listbox"
+        >
+          {suggestions.map((s, i) => (
+            <li key={s._id} role="option" aria-selected={i === active}>
+              <button
+                type="button"
+                className={`dropdown-item ${i === active ? "active" : ""}`}
+                // before the input blurs and closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleSelect(s);
+                }}
+              >
+                {s.name}
+                {s.category && (
+                  <small className="text-muted ms-2">in Categories</small>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
@@ -0,0 +1,68 @@
+import React from "react";
+import { Carriers } from "../Carriers";
+
+const ShipmentForm = ({ handleSubmit, value, setValue }) => {
+  const handleChange = (field) => (e) =>
+    setValue({ ...value, [field]: e.target.value });
+
+  return (
+    <>
+      <form onSubmit={handleSubmit}>
+        <h5 className="mb-3">Shipment Details</h5>
+        <div className="mb-3">
+          <select
+            className="form-select"
+            value={value.carrier}
+            onChange={handleChange("carrier")}
+          >
+            <option value="">Select a carrier</option>
+            {Carriers.map((c) => (
+              <option key={c.name} value={c.name}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mb-3">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Tracking number"
+            value={value.trackingNumber}
+            onChange={handleChange("trackingNumber")}
+          />
+        </div>
+        <div className="mb-3 d-flex">
+          <div className="me-2 w-50">
+            <label className="form-label">Shipped on</label>
+            <input
+              type="date"
+              className="form-control"
+              value={value.shippedAt}
+              onChange={handleChange("shippedAt")}
+            />
+          </div>
+          <div className="w-50">
+            <label className="form-label">Estimated delivery</label>
+            <input
+              type="date"
+              className="form-control"
+              value={value.estimatedDelivery}
+              onChange={handleChange("estimatedDelivery")}
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={!value.carrier || !value.trackingNumber}
+        >
+          Mark as Shipped
+        </button>
+      </form>
+    </>
+  );
+};
+
+export default ShipmentForm;
@@ -0,0 +1,181 @@
+import React from "react";
+import { variantLabel } from "../VariantPicker";
+
+// the option values are edited as one comma separated text per option
+export const toOptionRows = (options = []) =>
+  options.map(({ name, values }) => ({ name, values: values.join(", ") }));
+
+// the options as the api takes them
+export const optionList = (rows) =>
+  rows
+    .filter(({ name }) => name.trim())
+    .map(({ name, values }) => ({
+      name: name.trim(),
+      values: values
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean),
+    }));
+
+// one variant per combination of option values, keeping the ones already
+// filled in
+export const buildVariants = (rows, variants = []) => {
+  const options = optionList(rows);
+  if (!options.length) return [];
+  const combinations = options.reduce(
+    (list, { name, values }) =>
+      list.flatMap((combination) =>
+        values.map((value) => ({ ...combination, [name]: value }))
+      ),
+    [{}]
+  );
+  return combinations.map(
+    (combination) =>
+      variants.find(
+        (variant) => variantLabel(variant.options) === variantLabel(combination)
+      ) || { sku: "", price: "", quantity: "", options: combination }
+  );
+};
+
+const VariantForm = ({
+  options,
+  setOptions,
+  variants,
+  setVariants,
+  images,
+}) => {
+  const changeOption = (i, field) => (e) =>
+    setOptions(
+      options.map((option, j) =>
+        j === i ? { ...option, [field]: e.target.value } : option
+      )
+    );
+
+  const changeVariant = (i, field) => (e) =>
+    setVariants(
+      variants.map((variant, j) =>
+        j === i ? { ...variant, [field]: e.target.value } : variant
+      )
+    );
+
+  return (
+    <div className="mb-3">
+      <h5>Variants</h5>
+      {options.map((option, i) => (
+        <div className="d-flex mb-2" key={i}>
+          <input
+            type="text"
+            className="form-control me-2"
+            placeholder="Option, e.g. Size"
+            value={option.name}
+            onChange={changeOption(i, "name")}
+          />
+          <input
+            type="text"
+            className="form-control me-2"
+            placeholder="Values, e.g. S, M, L"
+            value={option.values}
+            onChange={changeOption(i, "values")}
+          />
+          <button
+            type="button"
+            className="btn btn-outline-danger"
+            onClick={() => setOptions(options.filter((_, j) => j !== i))}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline-secondary me-2"
+        disabled={options.length >= 3}
+        onClick={() => setOptions([...options, { name: "", values: "" }])}
+      >
+        Add Option
+      </button>
+      <button
+        type="button"
+        className="btn btn-outline-primary"
+        disabled={!options.length}
+        onClick={() => setVariants(buildVariants(options, variants))}
+      >
+        Generate Variants
+      </button>
+      {variants.length > 0 && (
+        <table className="table mt-3">
+          <thead>
+            <tr>
+              <th scope="col">Variant</th>
+              <th scope="col">SKU</th>
+              <th scope="col">Price</th>
+              <th scope="col">Quantity</th>
+              {images && <th scope="col">Image</th>}
+              <th scope="col"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {variants.map((variant, i) => (
+              <tr key={variantLabel(variant.options)}>
+                <td>{variantLabel(variant.options)}</td>
+                <td>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={variant.sku}
+                    onChange={changeVariant(i, "sku")}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={variant.price}
+                    onChange={changeVariant(i, "price")}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={variant.quantity}
+                    onChange={changeVariant(i, "quantity")}
+                  />
+                </td>
+                {images && (
+                  <td>
+                    <select
+                      className="form-select"
+                      value={variant.image || ""}
+                      onChange={changeVariant(i, "image")}
+                    >
+                      <option value="">None</option>
+                      {images.map((image, j) => (
+                        <option key={image} value={image}>
+                          Image {j + 1}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                )}
+                <td>
+                  <button
+                    type="button"
+                    className="btn btn-outline-danger"
+                    onClick={() =>
+                      setVariants(variants.filter((_, j) => j !== i))
+                    }
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default VariantForm;
@@ -2,8 +2,9 @@ import React from "react";
 import { NavLink, Link } from "react-router-dom";
 import { useAuth } from "../context/auth";
 import toast from "react-hot-toast";
+import axios from "axios";
 import SearchInput from "./Form/SearchInput";
-import useCategory from "../hooks/useCategory";
+import useCategory, { categoryTree, flattenTree } from "../hooks/useCategory";
 import { useCart } from "../context/cart";
 import { Badge } from "antd";
 import "../styles/Header.css";
@@ -12,10 +13,15 @@ const Header = () => {
   const [cart] = useCart();
   const categories = useCategory();
   const handleLogout = () => {
+    // revoke the session on the server, the local logout does not wait for it
+    axios
+      .post("/api/v1/auth/logout", { refreshToken: auth?.refreshToken })
+      .catch((error) => console.log(error));
     setAuth({
       ...auth,
       user: null,
       token: "",
+      refreshToken: "",
     });
     localStorage.removeItem("auth");
     toast.success("Logout Successfully");
@@ -60,10 +66,11 @@ const Header = () => {
                       All Categories
                     </Link>
                   </li>
-                  {categories?.map((c) => (
-                    <li>
+                  {flattenTree(categoryTree(categories)).map((c) => (
+                    <li key={c._id}>
                       <Link
                         className="dropdown-item"
+                        style={{ paddingLeft: `${1 + c.depth}rem` }}
                         to={`/category/${c.slug}`}
                       >
                         {c.name}
@@ -123,7 +130,13 @@ const Header = () => {
                 </>
               )}
               <li className="nav-item">
-                <Badge count={cart?.length} showZero>
+                <Badge
+                  count={cart?.reduce(
+                    (count, item) => count + item.quantity,
+                    0
+                  )}
+                  showZero
+                >
                   <NavLink to="/cart" className="nav-link">
                     Cart
                   </NavLink>
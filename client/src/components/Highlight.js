@@ -0,0 +1,16 @@
+import React from "react";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// text with every word of the search marked
+const Highlight = ({ text = "", search = "" }) => {
+  const words = search.split(/\s+/).filter(Boolean).map(escapeRegex);
+  if (!words.length) return text;
+  // splitting on a captured pattern leaves the matches at the odd places
+  const parts = text.split(new RegExp(`(${words.join("|")})`, "gi"));
+  return (
+    <>{parts.map((part, i) => (i % 2 ? <mark key={i}>{part}</mark> : part))}</>
+  );
+};
+
+export default Highlight;
@@ -0,0 +1,25 @@
+import React from "react";
+import moment from "moment";
+import { Timeline } from "antd";
+
+// every status an order went through, oldest first, with who moved it there
+const OrderTimeline = ({ history = [] }) => {
+  if (!history.length) return null;
+  return (
+    <Timeline
+      className="px-3 pt-2"
+      items={history.map((h) => ({
+        key: h._id,
+        color: h.status === "cancel" ? "red" : "blue",
+        children: (
+          <>
+            <b>{h.status}</b> - {moment(h.at).format("LLL")}
+            {h.by?.name && ` by ${h.by.name}`}
+          </>
+        ),
+      }))}
+    />
+  );
+};
+
+export default OrderTimeline;
@@ -0,0 +1,14 @@
+import React from "react";
+import { Rate } from "antd";
+
+// read-only stars with the number of reviews behind them
+const ProductRating = ({ average = 0, count = 0 }) => {
+  return (
+    <div className="product-rating">
+      <Rate disabled allowHalf value={Math.round(average * 2) / 2} />
+      <span className="ms-2">({count})</span>
+    </div>
+  );
+};
+
+export default ProductRating;
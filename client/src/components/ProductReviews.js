@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { Rate } from "antd";
+import { useAuth } from "../context/auth";
+
+const ProductReviews = ({ productId, onChange }) => {
+  const [auth] = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState("");
+  const [editing, setEditing] = useState(false);
+  // fetched on its own, a hidden review is not in the list
+  const [myReview, setMyReview] = useState(null);
+  const isAdmin = auth?.user?.role === 1;
+
+  //get reviews
+  const getReviews = async () => {
+    try {
+      const { data } = await axios.get(
+        isAdmin
+          ? `/api/v1/review/all-reviews/${productId}`
+          : `/api/v1/review/product-reviews/${productId}`
+      );
+      if (data?.success) setReviews(data.data.reviews);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //get own review
+  const getMyReview = async () => {
+    try {
+      const { data } = await axios.get(`/api/v1/review/my-review/${productId}`);
+      if (data?.success) setMyReview(data.data.review);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (productId) getReviews();
+    //eslint-disable-next-line
+  }, [productId, isAdmin]);
+
+  useEffect(() => {
+    if (productId && auth?.token) getMyReview();
+    else setMyReview(null);
+    //eslint-disable-next-line
+  }, [productId, auth?.token]);
+
+  // refresh the list and the product rating after any change
+  const refresh = () => {
+    getReviews();
+    if (auth?.token) getMyReview();
+    onChange && onChange();
+  };
+
+  // edit and delete buttons for the user's own review
+  const ownActions = (r) => (
+    <>
+      <button
+        className="btn btn-outline-primary btn-sm me-2"
+        onClick={() => {
+          setRating(r.rating);
+          setComment(r.comment || "");
+          setEditing(true);
+        }}
+      >
+        Edit
+      </button>
+      <button
+        className="btn btn-outline-danger btn-sm me-2"
+        onClick={() => handleDelete(r._id)}
+      >
+        Delete
+      </button>
+    </>
+  );
+
+  //create or update review
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = myReview
+        ? await axios.put(`/api/v1/review/update-review/${myReview._id}`, {
+            rating,
+            comment,
+          })
+        : await axios.post(`/api/v1/review/create-review/${productId}`, {
+            rating,
+            comment,
+          });
+      if (data?.success) {
+        toast.success(data.data.message);
+        setEditing(false);
+        refresh();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+
+  //delete review
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/review/delete-review/${id}`);
+      if (data?.success) {
+        toast.success(data.data.message);
+        setRating(0);
+        setComment("");
+        refresh();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  //hide or show review
+  const handleHide = async (review) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/review/hide-review/${review._id}`,
+        { hidden: !review.hidden }
+      );
+      if (data?.success) {
+        toast.success(data.data.message);
+        refresh();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <div className="row container product-reviews">
+      <h4>Reviews</h4>
+      {auth?.token && (!myReview || editing) && (
+        <form className="mb-3 w-50" onSubmit={handleSubmit}>
+          <Rate value={rating} onChange={setRating} />
+          <textarea
+            className="form-control mt-2"
+            placeholder="Share your thoughts about this product"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+          <button
+            type="submit"
+            className="btn btn-primary mt-2"
+            disabled={!rating}
+          >
+            {myReview ? "UPDATE REVIEW" : "POST REVIEW"}
+          </button>
+        </form>
+      )}
+      {myReview?.hidden && !isAdmin && (
+        <div className="card mb-2 p-3">
+          <h6>Your review is hidden by the shop</h6>
+          <Rate disabled value={myReview.rating} />
+          <p className="mt-2">{myReview.comment}</p>
+          <div>{ownActions(myReview)}</div>
+        </div>
+      )}
+      {reviews.length < 1 && <p className="text-center">No Reviews Yet</p>}
+      {reviews.map((r) => (
+        <div className="card mb-2 p-3" key={r._id}>
+          <div className="d-flex justify-content-between">
+            <h6>
+              {r.user?.name} {r.hidden && "(hidden)"}
+            </h6>
+            <span>{moment(r.createdAt).fromNow()}</span>
+          </div>
+          <Rate disabled value={r.rating} />
+          <p className="mt-2">{r.comment}</p>
+          <div>
+            {r._id === myReview?._id && ownActions(r)}
+            {isAdmin && (
+              <button
+                className="btn btn-outline-secondary btn-sm"
+                onClick={() => handleHide(r)}
+              >
+                {r.hidden ? "Show" : "Hide"}
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProductReviews;
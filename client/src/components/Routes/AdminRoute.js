@@ -11,10 +11,16 @@ export default function AdminRoute(){
 
     useEffect(()=> {
         const authCheck = async() => {
-            const res = await axios.get("/api/v1/auth/admin-auth");
-            if(res.data.ok){
-                setOk(true);
-            } else {
+            try {
+                const res = await axios.get("/api/v1/auth/admin-auth");
+                if(res.data.data.ok){
+                    setOk(true);
+                } else {
+                    setOk(false);
+                }
+            } catch (error) {
+                // signed out or not allowed, the spinner sends them to login
+                console.log(error);
                 setOk(false);
             }
         };
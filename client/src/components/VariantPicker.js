@@ -0,0 +1,46 @@
+import React from "react";
+
+// "Size : M / Colour : Red" for the options of a variant or order line
+export const variantLabel = (options = {}) =>
+  Object.entries(options)
+    .map(([name, value]) => `${name} : ${value}`)
+    .join(" / ");
+
+// the variant whose options match every selected value
+export const matchVariant = (variants = [], selected = {}) =>
+  variants.find((variant) =>
+    Object.entries(variant.options || {}).every(
+      ([name, value]) => selected[name] === value
+    )
+  );
+
+// one row of buttons per option, values no variant is sold in are disabled
+const VariantPicker = ({ options = [], variants = [], selected, onSelect }) => {
+  const isOnSale = (name, value) =>
+    variants.some((variant) => variant.options?.[name] === value);
+
+  return (
+    <div className="variant-picker">
+      {options.map(({ name, values }) => (
+        <div className="mb-2" key={name}>
+          <h6 className="mb-1">{name}</h6>
+          {values.map((value) => (
+            <button
+              key={value}
+              type="button"
+              className={`btn btn-sm me-2 ${
+                selected[name] === value ? "btn-dark" : "btn-outline-dark"
+              }`}
+              disabled={!isOnSale(name, value)}
+              onClick={() => onSelect({ ...selected, [name]: value })}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default VariantPicker;
@@ -0,0 +1,38 @@
+import React from "react";
+import { AiFillHeart, AiOutlineHeart } from "react-icons/ai";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import { useWishlist } from "../context/wishlist";
+
+// heart toggle shown on product cards
+const WishlistButton = ({ product }) => {
+  const [auth] = useAuth();
+  const [, { isInWishlist, toggleWishlist }] = useWishlist();
+  const liked = isInWishlist(product?._id);
+
+  const handleClick = async (e) => {
+    e.stopPropagation();
+    if (!auth?.token) {
+      return toast.error("Please login to use your wishlist");
+    }
+    const data = await toggleWishlist(product);
+    if (data?.success) toast.success(data.data.message);
+  };
+
+  return (
+    <span
+      className="wishlist-btn"
+      role="button"
+      aria-label={liked ? "Remove from wishlist" : "Add to wishlist"}
+      onClick={handleClick}
+    >
+      {liked ? (
+        <AiFillHeart color="crimson" size={22} />
+      ) : (
+        <AiOutlineHeart size={22} />
+      )}
+    </span>
+  );
+};
+
+export default WishlistButton;
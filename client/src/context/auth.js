@@ -3,10 +3,27 @@ import axios from "axios";
 
 const AuthContext = createContext();
 
+// one refresh at a time, requests that fail together wait for the same one
+let refreshing = null;
+
+const refreshSession = async (stored) => {
+    const { data } = await axios.post("/api/v1/auth/refresh", {
+        refreshToken: stored.refreshToken,
+    });
+    const next = {
+        ...stored,
+        token: data.data.token,
+        refreshToken: data.data.refreshToken,
+    };
+    localStorage.setItem("auth", JSON.stringify(next));
+    return next;
+};
+
 const AuthProvider = ({ children }) => {
     const [auth, setAuth] = useState({
         user: null,
         token: "",
+        refreshToken: "",
     });
 
     //default axios
@@ -20,10 +37,55 @@ const AuthProvider = ({ children }) => {
             ...auth,
             user: parseData.user,
             token: parseData.token,
+            refreshToken: parseData.refreshToken,
         });
        }
        //eslint-disable-next-line
     }, []);
+
+    // when the access token has expired, refresh it and retry the request
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(
+            (response) => response,
+            async (error) => {
+                const request = error?.config;
+                const stored = JSON.parse(localStorage.getItem("auth") || "null");
+                if (
+                    error?.response?.status !== 401 ||
+                    !request ||
+                    request.retried ||
+                    request.url === "/api/v1/auth/refresh" ||
+                    !stored?.refreshToken
+                ) {
+                    throw error;
+                }
+                request.retried = true;
+                try {
+                    refreshing =
+                        refreshing ||
+                        refreshSession(stored).finally(() => {
+                            refreshing = null;
+                        });
+                    const next = await refreshing;
+                    axios.defaults.headers.common["Authorization"] = next.token;
+                    setAuth((prev) => ({
+                        ...prev,
+                        token: next.token,
+                        refreshToken: next.refreshToken,
+                    }));
+                    request.headers["Authorization"] = next.token;
+                    return axios(request);
+                } catch (refreshError) {
+                    // the session is gone, sign out locally
+                    localStorage.removeItem("auth");
+                    setAuth({ user: null, token: "", refreshToken: "" });
+                    throw error;
+                }
+            }
+        );
+        return () => axios.interceptors.response.eject(interceptor);
+    }, []);
+
     return (
         <AuthContext.Provider value={[auth, setAuth]}>
             {children}
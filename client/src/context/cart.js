@@ -1,16 +1,138 @@
-import { useState, useContext, createContext, useEffect } from "react";
+import { useState, useContext, createContext, useEffect, useRef } from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
 
 const CartContext = createContext();
+
+// a cart line is one variant of a product, or the product itself
+const cartLineKey = (item) => `${item._id}:${item.variant?._id || ""}`;
+
+// the api path of a cart line
+const cartLinePath = (item) =>
+  item.variant ? `${item._id}/${item.variant._id}` : item._id;
+
+// older carts stored one entry per click, fold them into lines with a quantity
+const normalizeCart = (items = []) => {
+  const lines = [];
+  items.forEach((item) => {
+    const existing = lines.find(
+      (line) => cartLineKey(line) === cartLineKey(item)
+    );
+    if (existing) {
+      existing.quantity += item.quantity || 1;
+    } else {
+      lines.push({ ...item, quantity: item.quantity || 1 });
+    }
+  });
+  return lines;
+};
+
+// add a product to the cart, bumping the quantity if it is already there.
+// a variant line is priced by its variant
+const addCartItem = (cart, product, quantity = 1, variant) => {
+  const line = variant
+    ? { ...product, variant, price: variant.price }
+    : product;
+  const myCart = cart ? [...cart] : [];
+  const index = myCart.findIndex(
+    (item) => cartLineKey(item) === cartLineKey(line)
+  );
+  if (index === -1) {
+    myCart.push({ ...line, quantity });
+  } else {
+    myCart[index] = {
+      ...myCart[index],
+      quantity: myCart[index].quantity + quantity,
+    };
+  }
+  return myCart;
+};
+
+// total number of units across all lines
+const cartItemCount = (cart) =>
+  (cart || []).reduce((count, item) => count + (item.quantity || 1), 0);
+
 const CartProvider = ({ children }) => {
+  const [auth] = useAuth();
   const [cart, setCart] = useState([]);
+  const previousToken = useRef(auth?.token);
+
+  const saveCart = (myCart) => {
+    setCart(myCart);
+    localStorage.setItem("cart", JSON.stringify(myCart));
+  };
+
+  // run a cart request for signed in users and adopt the cart it returns
+  const syncCart = async (request) => {
+    if (!auth?.token) return;
+    try {
+      const { data } = await request();
+      if (data?.success) saveCart(data.data.cart);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const addToCart = (product, quantity = 1, variant) => {
+    saveCart(addCartItem(cart, product, quantity, variant));
+    syncCart(() =>
+      axios.post("/api/v1/cart/add-item", {
+        productId: product._id,
+        variantId: variant?._id,
+        quantity,
+      })
+    );
+  };
+
+  const updateQuantity = (line, quantity) => {
+    saveCart(
+      cart.map((item) =>
+        cartLineKey(item) === cartLineKey(line) ? { ...item, quantity } : item
+      )
+    );
+    syncCart(() =>
+      axios.put(`/api/v1/cart/update-item/${cartLinePath(line)}`, {
+        quantity,
+      })
+    );
+  };
+
+  const removeFromCart = (line) => {
+    saveCart(cart.filter((item) => cartLineKey(item) !== cartLineKey(line)));
+    syncCart(() =>
+      axios.delete(`/api/v1/cart/remove-item/${cartLinePath(line)}`)
+    );
+  };
+
+  const clearCart = () => {
+    saveCart([]);
+    syncCart(() => axios.delete("/api/v1/cart/clear-cart"));
+  };
 
   useEffect(() => {
     let existingCartItem = localStorage.getItem("cart");
-    if (existingCartItem) setCart(JSON.parse(existingCartItem));
+    if (existingCartItem) setCart(normalizeCart(JSON.parse(existingCartItem)));
   }, []);
 
+  // signed in users see their server cart, signing out leaves an empty one
+  useEffect(() => {
+    if (auth?.token) {
+      syncCart(() => axios.get("/api/v1/cart/get-cart"));
+    } else if (previousToken.current) {
+      saveCart([]);
+    }
+    previousToken.current = auth?.token;
+    //eslint-disable-next-line
+  }, [auth?.token]);
+
   return (
-    <CartContext.Provider value={[cart, setCart]}>
+    <CartContext.Provider
+      value={[
+        cart,
+        setCart,
+        { addToCart, updateQuantity, removeFromCart, clearCart },
+      ]}
+    >
       {children}
     </CartContext.Provider>
   );
@@ -19,4 +141,4 @@ const CartProvider = ({ children }) => {
 // custom hook
 const useCart = () => useContext(CartContext);
 
-export { useCart, CartProvider };
\ No newline at end of file
+export { useCart, CartProvider, cartItemCount, cartLineKey };
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { useState, useContext, createContext, useEffect } from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
+
+const WishlistContext = createContext();
+const WishlistProvider = ({ children }) => {
+  const [auth] = useAuth();
+  const [wishlist, setWishlist] = useState([]);
+
+  //get wishlist
+  const getWishlist = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/wishlist/get-wishlist");
+      if (data?.success) setWishlist(data.data.products);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getWishlist();
+    else setWishlist([]);
+  }, [auth?.token]);
+
+  const isInWishlist = (pid) => wishlist.some((p) => p._id === pid);
+
+  // add the product if it is missing, remove it otherwise
+  const toggleWishlist = async (product) => {
+    try {
+      const { data } = isInWishlist(product._id)
+        ? await axios.delete(`/api/v1/wishlist/remove-item/${product._id}`)
+        : await axios.post("/api/v1/wishlist/add-item", {
+            productId: product._id,
+          });
+      if (data?.success) setWishlist(data.data.products);
+      return data;
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  return (
+    <WishlistContext.Provider
+      value={[wishlist, { isInWishlist, toggleWishlist }]}
+    >
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+// custom hook
+const useWishlist = () => useContext(WishlistContext);
+
+export { useWishlist, WishlistProvider };
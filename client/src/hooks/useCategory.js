@@ -1,6 +1,34 @@
 import { useState, useEffect } from "react";
 import axios from "axios";
 
+// the categories as a tree, each with its subcategories in children. one
+// whose parent is not in the list is shown at the top level
+export const categoryTree = (categories = []) => {
+  const ids = categories.map(({ _id }) => _id);
+  const childrenOf = (id) =>
+    categories
+      .filter((c) => c.parent === id)
+      .map((c) => ({ ...c, children: childrenOf(c._id) }));
+  return categories
+    .filter((c) => !ids.includes(c.parent))
+    .map((c) => ({ ...c, children: childrenOf(c._id) }));
+};
+
+// the tree in display order, each category with its depth in it
+export const flattenTree = (tree, depth = 0) =>
+  tree.flatMap((c) => [{ ...c, depth }, ...flattenTree(c.children, depth + 1)]);
+
+// ids of a category and of every category below it
+export const subtreeIds = (categories, id) => {
+  const found = [id];
+  for (let i = 0; i < found.length; i++) {
+    categories.forEach((c) => {
+      if (c.parent === found[i] && !found.includes(c._id)) found.push(c._id);
+    });
+  }
+  return found;
+};
+
 export default function useCategory() {
   const [categories, setCategories] = useState([]);
 
@@ -8,7 +36,7 @@ export default function useCategory() {
   const getCategories = async () => {
     try {
       const { data } = await axios.get("/api/v1/category/get-category");
-      setCategories(data?.category);
+      setCategories(data?.data?.category);
     } catch (error) {
       console.log(error);
     }
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import Layout from "./../../components/Layout";
+import axios from "axios";
+import toast from "react-hot-toast";
+import "../../styles/AuthStyles.css";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+
+  // form function
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post("/api/v1/auth/forgot-password", {
+        email,
+      });
+      if (res && res.data.success) {
+        toast.success(res.data.data.message);
+        setSent(true);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+  return (
+    <Layout title="Forgot Password - Ecommerce App">
+      <div className="form-container " style={{ minHeight: "90vh" }}>
+        <form onSubmit={handleSubmit}>
+          <h4 className="title">RESET PASSWORD</h4>
+          {sent ? (
+            <p>Check your email for a link to reset your password.</p>
+          ) : (
+            <>
+              <div className="mb-3">
+                <input
+                  type="email"
+                  autoFocus
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="form-control"
+                  id="exampleInputEmail1"
+                  placeholder="Enter Your Email"
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-primary">
+                SEND RESET LINK
+              </button>
+            </>
+          )}
+        </form>
+      </div>
+    </Layout>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import '@testing-library/jest-dom/extend-expect';
+import toast from 'react-hot-toast';
+import ForgotPassword from './ForgotPassword';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../context/auth', () => ({
+    useAuth: jest.fn(() => [null, jest.fn()])
+  }));
+
+  jest.mock('../../context/cart', () => ({
+    useCart: jest.fn(() => [null, jest.fn()])
+  }));
+
+jest.mock('../../context/search', () => ({
+    useSearch: jest.fn(() => [{ keyword: '' }, jest.fn()])
+  }));
+
+window.matchMedia = window.matchMedia || function() {
+    return {
+      matches: false,
+      addListener: function() {},
+      removeListener: function() {}
+    };
+  };
+
+const renderPage = () =>
+    render(
+        <MemoryRouter initialEntries={['/forgot-password']}>
+            <Routes>
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+            </Routes>
+        </MemoryRouter>
+    );
+
+describe('ForgotPassword Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('renders the reset request form', () => {
+        const { getByText, getByPlaceholderText } = renderPage();
+
+        expect(getByText('RESET PASSWORD')).toBeInTheDocument();
+        expect(getByPlaceholderText('Enter Your Email').value).toBe('');
+    });
+
+    it('should request a reset link and confirm it was sent', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { success: true, data: { message: 'If that email is registered, a reset link has been sent' } }
+        });
+
+        const { getByPlaceholderText, getByText } = renderPage();
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+        fireEvent.click(getByText('SEND RESET LINK'));
+
+        await waitFor(() => expect(axios.post).toHaveBeenCalledWith('/api/v1/auth/forgot-password', {
+            email: 'test@example.com'
+        }));
+        await waitFor(() => expect(getByText('Check your email for a link to reset your password.')).toBeInTheDocument());
+        expect(toast.success).toHaveBeenCalledWith('If that email is registered, a reset link has been sent');
+    });
+
+    it('should display an error when the request fails', async () => {
+        axios.post.mockRejectedValueOnce({ message: 'Network Error' });
+
+        const { getByPlaceholderText, getByText } = renderPage();
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+        fireEvent.click(getByText('SEND RESET LINK'));
+
+        await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Something went wrong'));
+    });
+});
@@ -16,6 +16,21 @@ const Login = () => {
   const location = useLocation();
   
 
+  // move the cart built before login into the account cart
+  const mergeGuestCart = async (token) => {
+    try {
+      const guestCart = JSON.parse(localStorage.getItem("cart") || "[]");
+      if (!guestCart.length) return;
+      await axios.post(
+        "/api/v1/cart/merge-cart",
+        { cart: guestCart },
+        { headers: { Authorization: token } }
+      );
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
   // form function
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -25,7 +40,7 @@ const Login = () => {
         password,
       });
       if (res && res.data.success) {
-        toast.success(res.data && res.data.message, {
+        toast.success(res.data && res.data.data.message, {
             duration: 5000,
             icon: "🙏",
             style: {
@@ -33,19 +48,19 @@ const Login = () => {
               color: "white",
             },
           });
+        await mergeGuestCart(res.data.data.token);
         setAuth({
             ...auth,
-            user: res.data.user,
-            token: res.data.token,
+            user: res.data.data.user,
+            token: res.data.data.token,
+            refreshToken: res.data.data.refreshToken,
         });
-        localStorage.setItem("auth", JSON.stringify(res.data));
+        localStorage.setItem("auth", JSON.stringify(res.data.data));
         navigate(location.state || "/");
-      } else {
-        toast.error(res.data.message);
       }
     } catch (error) {
       console.log(error);
-      toast.error("Something went wrong");
+      toast.error(error?.response?.data?.error?.message || "Something went wrong");
     }
   };
   return (
@@ -89,8 +89,10 @@ describe('Login Component', () => {
         axios.post.mockResolvedValueOnce({
             data: {
                 success: true,
-                user: { id: 1, name: 'John Doe', email: 'test@example.com' },
-                token: 'mockToken'
+                data: {
+                    user: { id: 1, name: 'John Doe', email: 'test@example.com' },
+                    token: 'mockToken'
+                }
             }
         });
 
@@ -117,6 +119,93 @@ describe('Login Component', () => {
         });
     });
 
+    it('should merge the guest cart into the account cart on login', async () => {
+        const guestCart = [{ _id: 'p1', name: 'Book', price: 10, quantity: 2 }];
+        window.localStorage.getItem.mockReturnValueOnce(JSON.stringify(guestCart));
+        axios.post
+            .mockResolvedValueOnce({
+                data: {
+                    success: true,
+                    data: {
+                        user: { id: 1, name: 'John Doe', email: 'test@example.com' },
+                        token: 'mockToken'
+                    }
+                }
+            })
+            .mockResolvedValueOnce({ data: { success: true, data: { cart: guestCart } } });
+
+        const { getByPlaceholderText, getByText } = render(
+            <MemoryRouter initialEntries={['/login']}>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+        fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'password123' } });
+        fireEvent.click(getByText('LOGIN'));
+
+        await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(2));
+        expect(axios.post).toHaveBeenLastCalledWith(
+            '/api/v1/cart/merge-cart',
+            { cart: guestCart },
+            { headers: { Authorization: 'mockToken' } }
+        );
+        expect(window.localStorage.setItem).toHaveBeenCalledWith('auth', expect.any(String));
+    });
+
+    it('should still login when merging the guest cart fails', async () => {
+        window.localStorage.getItem.mockReturnValueOnce(JSON.stringify([{ _id: 'p1', quantity: 1 }]));
+        axios.post
+            .mockResolvedValueOnce({
+                data: {
+                    success: true,
+                    data: {
+                        user: { id: 1, name: 'John Doe', email: 'test@example.com' },
+                        token: 'mockToken'
+                    }
+                }
+            })
+            .mockRejectedValueOnce({ message: 'Network Error' });
+
+        const { getByPlaceholderText, getByText } = render(
+            <MemoryRouter initialEntries={['/login']}>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+        fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'password123' } });
+        fireEvent.click(getByText('LOGIN'));
+
+        await waitFor(() => expect(window.localStorage.setItem).toHaveBeenCalledWith('auth', expect.any(String)));
+        expect(toast.error).not.toHaveBeenCalled();
+    });
+
+    it('should display the server message when the account is disabled', async () => {
+        axios.post.mockRejectedValueOnce({
+            response: { status: 403, data: { success: false, error: { code: 'FORBIDDEN', message: 'Account is disabled, please contact support' } } }
+        });
+
+        const { getByPlaceholderText, getByText } = render(
+            <MemoryRouter initialEntries={['/login']}>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+        fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'password123' } });
+        fireEvent.click(getByText('LOGIN'));
+
+        await waitFor(() => expect(axios.post).toHaveBeenCalled());
+        expect(toast.error).toHaveBeenCalledWith('Account is disabled, please contact support');
+    });
+
     it('should display error message on failed login', async () => {
         axios.post.mockRejectedValueOnce({ message: 'Invalid credentials' });
 
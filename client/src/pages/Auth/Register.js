@@ -11,7 +11,6 @@ const Register = () => {
   const [phone, setPhone] = useState("");
   const [address, setAddress] = useState("");
   const [DOB, setDOB] = useState("");
-  const [answer, setAnswer] = useState("");
   const navigate = useNavigate();
 
   // form function
@@ -25,17 +24,16 @@ const Register = () => {
         phone,
         address,
         DOB,
-        answer,
       });
       if (res && res.data.success) {
         toast.success("Register Successfully, please login");
         navigate("/login");
-      } else {
-        toast.error(res.data.message);
       }
     } catch (error) {
       console.log(error);
-      toast.error("Something went wrong");
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
     }
   };
 
@@ -111,17 +109,6 @@ const Register = () => {
               required
             />
           </div>
-          <div className="mb-3">
-            <input
-              type="text"
-              value={answer}
-              onChange={(e) => setAnswer(e.target.value)}
-              className="form-control"
-              id="exampleInputanswer1"
-              placeholder="What is Your Favorite sports"
-              required
-            />
-          </div>
           <button type="submit" className="btn btn-primary">
             REGISTER
           </button>
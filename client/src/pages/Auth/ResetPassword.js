@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import Layout from "./../../components/Layout";
+import axios from "axios";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import "../../styles/AuthStyles.css";
+
+const ResetPassword = () => {
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const navigate = useNavigate();
+
+  // form function
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      return toast.error("Passwords do not match");
+    }
+    try {
+      const res = await axios.post("/api/v1/auth/reset-password", {
+        token,
+        newPassword: password,
+      });
+      if (res && res.data.success) {
+        toast.success(res.data.data.message);
+        navigate("/login");
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+  return (
+    <Layout title="Reset Password - Ecommerce App">
+      <div className="form-container " style={{ minHeight: "90vh" }}>
+        <form onSubmit={handleSubmit}>
+          <h4 className="title">CHOOSE A NEW PASSWORD</h4>
+          {!token ? (
+            <p>This reset link is not valid.</p>
+          ) : (
+            <>
+              <div className="mb-3">
+                <input
+                  type="password"
+                  autoFocus
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="form-control"
+                  id="exampleInputPassword1"
+                  placeholder="Enter New Password"
+                  required
+                />
+              </div>
+              <div className="mb-3">
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="form-control"
+                  id="exampleInputPassword2"
+                  placeholder="Confirm New Password"
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-primary">
+                RESET PASSWORD
+              </button>
+            </>
+          )}
+        </form>
+      </div>
+    </Layout>
+  );
+};
+
+export default ResetPassword;
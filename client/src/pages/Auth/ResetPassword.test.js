@@ -0,0 +1,99 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import '@testing-library/jest-dom/extend-expect';
+import toast from 'react-hot-toast';
+import ResetPassword from './ResetPassword';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../context/auth', () => ({
+    useAuth: jest.fn(() => [null, jest.fn()])
+  }));
+
+  jest.mock('../../context/cart', () => ({
+    useCart: jest.fn(() => [null, jest.fn()])
+  }));
+
+jest.mock('../../context/search', () => ({
+    useSearch: jest.fn(() => [{ keyword: '' }, jest.fn()])
+  }));
+
+window.matchMedia = window.matchMedia || function() {
+    return {
+      matches: false,
+      addListener: function() {},
+      removeListener: function() {}
+    };
+  };
+
+const renderPage = (url = '/reset-password?token=abc123') =>
+    render(
+        <MemoryRouter initialEntries={[url]}>
+            <Routes>
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/login" element={<div>LOGIN PAGE</div>} />
+            </Routes>
+        </MemoryRouter>
+    );
+
+const fillPasswords = (getByPlaceholderText, password, confirmPassword) => {
+    fireEvent.change(getByPlaceholderText('Enter New Password'), { target: { value: password } });
+    fireEvent.change(getByPlaceholderText('Confirm New Password'), { target: { value: confirmPassword } });
+};
+
+describe('ResetPassword Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('tells the user when the link has no token', () => {
+        const { getByText, queryByPlaceholderText } = renderPage('/reset-password');
+
+        expect(getByText('This reset link is not valid.')).toBeInTheDocument();
+        expect(queryByPlaceholderText('Enter New Password')).not.toBeInTheDocument();
+    });
+
+    it('should not submit when the passwords do not match', () => {
+        const { getByPlaceholderText, getByText } = renderPage();
+
+        fillPasswords(getByPlaceholderText, 'newpass123', 'other');
+        fireEvent.click(getByText('RESET PASSWORD'));
+
+        expect(toast.error).toHaveBeenCalledWith('Passwords do not match');
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should reset the password with the token and go to login', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { success: true, data: { message: 'Password Reset Successfully' } }
+        });
+
+        const { getByPlaceholderText, getByText } = renderPage();
+
+        fillPasswords(getByPlaceholderText, 'newpass123', 'newpass123');
+        fireEvent.click(getByText('RESET PASSWORD'));
+
+        await waitFor(() => expect(getByText('LOGIN PAGE')).toBeInTheDocument());
+        expect(axios.post).toHaveBeenCalledWith('/api/v1/auth/reset-password', {
+            token: 'abc123',
+            newPassword: 'newpass123'
+        });
+        expect(toast.success).toHaveBeenCalledWith('Password Reset Successfully');
+    });
+
+    it('should display the server message for an expired link', async () => {
+        axios.post.mockRejectedValueOnce({
+            response: { status: 400, data: { success: false, error: { code: 'BAD_REQUEST', message: 'Reset link is invalid or has expired' } } }
+        });
+
+        const { getByPlaceholderText, getByText } = renderPage();
+
+        fillPasswords(getByPlaceholderText, 'newpass123', 'newpass123');
+        fireEvent.click(getByText('RESET PASSWORD'));
+
+        await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Reset link is invalid or has expired'));
+    });
+});
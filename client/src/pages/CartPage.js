@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
-import { useCart } from "../context/cart";
+import { useCart, cartItemCount, cartLineKey } from "../context/cart";
+import { variantLabel } from "../components/VariantPicker";
 import { useAuth } from "../context/auth";
 import { useNavigate } from "react-router-dom";
 import DropIn from "braintree-web-drop-in-react";
@@ -11,10 +12,12 @@ import "../styles/CartStyles.css";
 
 const CartPage = () => {
   const [auth, setAuth] = useAuth();
-  const [cart, setCart] = useCart();
+  const [cart, , { updateQuantity, removeFromCart, clearCart }] = useCart();
   const [clientToken, setClientToken] = useState("");
   const [instance, setInstance] = useState("");
   const [loading, setLoading] = useState(false);
+  const [couponCode, setCouponCode] = useState("");
+  const [coupon, setCoupon] = useState(null);
   const navigate = useNavigate();
 
   //total price
@@ -22,7 +25,7 @@ const CartPage = () => {
     try {
       let total = 0;
       cart?.map((item) => {
-        total = total + item.price;
+        total = total + item.price * item.quantity;
       });
       return total.toLocaleString("en-US", {
         style: "currency",
@@ -33,23 +36,55 @@ const CartPage = () => {
     }
   };
   //detele item
-  const removeCartItem = (pid) => {
+  const removeCartItem = (line) => {
     try {
-      let myCart = [...cart];
-      let index = myCart.findIndex((item) => item._id === pid);
-      myCart.splice(index, 1);
-      setCart(myCart);
-      localStorage.setItem("cart", JSON.stringify(myCart));
+      removeFromCart(line);
     } catch (error) {
       console.log(error);
     }
   };
 
+  //update item quantity
+  const updateCartQuantity = (line, quantity) => {
+    try {
+      if (!Number.isInteger(quantity) || quantity < 1) return;
+      updateQuantity(line, quantity);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //apply coupon
+  const applyCoupon = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/coupon/apply-coupon", {
+        code: couponCode,
+        cart,
+      });
+      if (data?.success) {
+        setCoupon(data.data);
+        toast.success(`${data.data.code} applied`);
+      }
+    } catch (error) {
+      console.log(error);
+      setCoupon(null);
+      toast.error(
+        error?.response?.data?.error?.message || "Coupon is not valid"
+      );
+    }
+  };
+
+  // the discount is only valid for the cart it was checked against
+  useEffect(() => {
+    setCoupon(null);
+  }, [cart]);
+
   //get payment gateway token
   const getToken = async () => {
     try {
       const { data } = await axios.get("/api/v1/product/braintree/token");
-      setClientToken(data?.clientToken);
+      setClientToken(data?.data?.clientToken);
     } catch (error) {
       console.log(error);
     }
@@ -63,18 +98,36 @@ const CartPage = () => {
     try {
       setLoading(true);
       const { nonce } = await instance.requestPaymentMethod();
-      const { data } = await axios.post("/api/v1/product/braintree/payment", {
+      await axios.post("/api/v1/product/braintree/payment", {
         nonce,
         cart,
+        couponCode: coupon?.code,
       });
       setLoading(false);
-      localStorage.removeItem("cart");
-      setCart([]);
+      clearCart();
       navigate("/dashboard/user/orders");
       toast.success("Payment Completed Successfully ");
     } catch (error) {
       console.log(error);
       setLoading(false);
+      const { message, details } = error?.response?.data?.error || {};
+      if (Array.isArray(details) && details.length) {
+        details.forEach((e) => {
+          const item = cart.find(
+            (p) =>
+              p._id === e.product &&
+              (p.variant?._id || "") === (e.variant || "")
+          );
+          const options = item?.variant
+            ? ` (${variantLabel(item.variant.options)})`
+            : "";
+          toast.error(
+            `${e.name || item?.name || "Item"}${options} : ${e.reason}`
+          );
+        });
+      } else {
+        toast.error(message || "Payment failed");
+      }
     }
   };
   return (
@@ -88,7 +141,7 @@ const CartPage = () => {
                 : `Hello  ${auth?.token && auth?.user?.name}`}
               <p className="text-center">
                 {cart?.length
-                  ? `You Have ${cart.length} items in your cart ${
+                  ? `You Have ${cartItemCount(cart)} items in your cart ${
                       auth?.token ? "" : "please login to checkout !"
                     }`
                   : " Your Cart Is Empty"}
@@ -100,7 +153,7 @@ const CartPage = () => {
           <div className="row ">
             <div className="col-md-7  p-0 m-0">
               {cart?.map((p) => (
-                <div className="row card flex-row" key={p._id}>
+                <div className="row card flex-row" key={cartLineKey(p)}>
                   <div className="col-md-4">
                     <img
                       src={`/api/v1/product/product-photo/${p._id}`}
@@ -112,13 +165,39 @@ const CartPage = () => {
                   </div>
                   <div className="col-md-4">
                     <p>{p.name}</p>
+                    {p.variant && <p>{variantLabel(p.variant.options)}</p>}
                     <p>{p.description.substring(0, 30)}</p>
                     <p>Price : {p.price}</p>
+                    <p>Subtotal : {p.price * p.quantity}</p>
                   </div>
                   <div className="col-md-4 cart-remove-btn">
+                    <div className="input-group cart-quantity me-2">
+                      <button
+                        className="btn btn-outline-secondary"
+                        onClick={() => updateCartQuantity(p, p.quantity - 1)}
+                        disabled={p.quantity <= 1}
+                      >
+                        -
+                      </button>
+                      <input
+                        type="number"
+                        min="1"
+                        className="form-control text-center"
+                        value={p.quantity}
+                        onChange={(e) =>
+                          updateCartQuantity(p, Number(e.target.value))
+                        }
+                      />
+                      <button
+                        className="btn btn-outline-secondary"
+                        onClick={() => updateCartQuantity(p, p.quantity + 1)}
+                      >
+                        +
+                      </button>
+                    </div>
                     <button
                       className="btn btn-danger"
-                      onClick={() => removeCartItem(p._id)}
+                      onClick={() => removeCartItem(p)}
                     >
                       Remove
                     </button>
@@ -131,6 +210,47 @@ const CartPage = () => {
               <p>Total | Checkout | Payment</p>
               <hr />
               <h4>Total : {totalPrice()} </h4>
+              {coupon && (
+                <>
+                  <h5>
+                    Coupon {coupon.code} : -
+                    {coupon.discount.toLocaleString("en-US", {
+                      style: "currency",
+                      currency: "USD",
+                    })}
+                  </h5>
+                  <h4>
+                    To Pay :{" "}
+                    {coupon.total.toLocaleString("en-US", {
+                      style: "currency",
+                      currency: "USD",
+                    })}
+                  </h4>
+                </>
+              )}
+              {auth?.token && cart?.length ? (
+                <form
+                  className="d-flex mb-3 coupon-form"
+                  onSubmit={applyCoupon}
+                >
+                  <input
+                    type="text"
+                    className="form-control me-2"
+                    placeholder="Coupon code"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value)}
+                  />
+                  <button
+                    type="submit"
+                    className="btn btn-outline-primary"
+                    disabled={!couponCode}
+                  >
+                    Apply
+                  </button>
+                </form>
+              ) : (
+                ""
+              )}
               {auth?.user?.address ? (
                 <>
                   <div className="mb-3">
@@ -1,18 +1,36 @@
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
-import useCategory from "../hooks/useCategory";
+import useCategory, { categoryTree } from "../hooks/useCategory";
 import Layout from "../components/Layout";
+
+// the subcategories of a category, each with its own below it
+const Subcategories = ({ categories }) => (
+  <ul className="list-unstyled ms-4">
+    {categories.map((c) => (
+      <li className="mt-2" key={c._id}>
+        <Link to={`/category/${c.slug}`} className="btn btn-outline-primary">
+          {c.name}
+        </Link>
+        {c.children.length > 0 && <Subcategories categories={c.children} />}
+      </li>
+    ))}
+  </ul>
+);
+
 const Categories = () => {
   const categories = useCategory();
   return (
     <Layout title={"All Categories"}>
       <div className="container">
         <div className="row">
-          {categories.map((c) => (
+          {categoryTree(categories).map((c) => (
             <div className="col-md-6 mt-5 mb-3 gx-3 gy-3" key={c._id}>
               <Link to={`/category/${c.slug}`} className="btn btn-primary">
                 {c.name}
               </Link>
+              {c.children.length > 0 && (
+                <Subcategories categories={c.children} />
+              )}
             </div>
           ))}
         </div>
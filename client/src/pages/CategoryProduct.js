@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from "react";
 import Layout from "../components/Layout";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, Link } from "react-router-dom";
+import ProductRating from "../components/ProductRating";
+import WishlistButton from "../components/WishlistButton";
+import Breadcrumbs from "../components/Breadcrumbs";
+import useCategory from "../hooks/useCategory";
 import "../styles/CategoryProductStyles.css";
 import axios from "axios";
 const CategoryProduct = () => {
@@ -8,17 +12,23 @@ const CategoryProduct = () => {
   const navigate = useNavigate();
   const [products, setProducts] = useState([]);
   const [category, setCategory] = useState([]);
+  const [path, setPath] = useState([]);
+  const [subcategories, setSubcategories] = useState(true);
+  const categories = useCategory();
+  const children = categories.filter((c) => c.parent === category?._id);
 
   useEffect(() => {
     if (params?.slug) getPrductsByCat();
-  }, [params?.slug]);
+  }, [params?.slug, subcategories]);
   const getPrductsByCat = async () => {
     try {
       const { data } = await axios.get(
-        `/api/v1/product/product-category/${params.slug}`
+        `/api/v1/product/product-category/${params.slug}`,
+        { params: { subcategories } }
       );
-      setProducts(data?.products);
-      setCategory(data?.category);
+      setProducts(data?.data?.products);
+      setCategory(data?.data?.category);
+      setPath(data?.data?.path);
     } catch (error) {
       console.log(error);
     }
@@ -27,7 +37,33 @@ const CategoryProduct = () => {
   return (
     <Layout>
       <div className="container mt-3 category">
+        <Breadcrumbs path={path} />
         <h4 className="text-center">Category - {category?.name}</h4>
+        {children.length > 0 && (
+          <div className="text-center">
+            {children.map((c) => (
+              <Link
+                key={c._id}
+                to={`/category/${c.slug}`}
+                className="btn btn-outline-primary btn-sm m-1"
+              >
+                {c.name}
+              </Link>
+            ))}
+            <div className="form-check d-inline-block ms-3">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="subcategories"
+                checked={subcategories}
+                onChange={(e) => setSubcategories(e.target.checked)}
+              />
+              <label className="form-check-label" htmlFor="subcategories">
+                Include subcategories
+              </label>
+            </div>
+          </div>
+        )}
         <h6 className="text-center">{products?.length} result found </h6>
         <div className="row">
           <div className="col-md-9 offset-1">
@@ -48,7 +84,12 @@ const CategoryProduct = () => {
                           currency: "USD",
                         })}
                       </h5>
+                      <WishlistButton product={p} />
                     </div>
+                    <ProductRating
+                      average={p.ratingAverage}
+                      count={p.ratingCount}
+                    />
                     <p className="card-text ">
                       {p.description.substring(0, 60)}...
                     </p>
@@ -1,31 +1,58 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
-import { Checkbox, Radio } from "antd";
-import { Prices } from "../components/Prices";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Checkbox, Radio, Slider } from "antd";
 import { useCart } from "../context/cart";
 import axios from "axios";
 import toast from "react-hot-toast";
 import Layout from "./../components/Layout";
 import { AiOutlineReload } from "react-icons/ai";
+import ProductRating from "../components/ProductRating";
+import WishlistButton from "../components/WishlistButton";
+import { categoryTree, flattenTree, subtreeIds } from "../hooks/useCategory";
 import "../styles/Homepages.css";
 
+// ratings the sidebar filters on, each means that many stars or more
+const RATINGS = [4, 3, 2, 1];
+
+const SORTS = {
+  newest: "Newest",
+  price_asc: "Price : Low to High",
+  price_desc: "Price : High to Low",
+  popular: "Most Popular",
+};
+
+const priceLabel = ({ min, max }) =>
+  max === null ? `$${min} or more` : `$${min} to $${max}`;
+
 const HomePage = () => {
   const navigate = useNavigate();
-  const [cart, setCart] = useCart();
+  const [, , { addToCart }] = useCart();
+  // the filters live in the url so a filtered catalogue can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
-  const [checked, setChecked] = useState([]);
-  const [radio, setRadio] = useState([]);
+  const [facets, setFacets] = useState({
+    categories: {},
+    prices: { ranges: [], min: 0, max: 0 },
+  });
+  // the slider while it is dragged, the url once it is let go
+  const [slider, setSlider] = useState(null);
   const [total, setTotal] = useState(0);
   const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(false);
+  const checked = (searchParams.get("categories") || "")
+    .split(",")
+    .filter(Boolean);
+  const price = searchParams.has("minPrice")
+    ? `${searchParams.get("minPrice")}-${searchParams.get("maxPrice") || ""}`
+    : "";
 
   //get all cat
   const getAllCategory = async () => {
     try {
       const { data } = await axios.get("/api/v1/category/get-category");
       if (data?.success) {
-        setCategories(data?.category);
+        setCategories(data?.data?.category);
       }
     } catch (error) {
       console.log(error);
@@ -34,78 +61,65 @@ const HomePage = () => {
 
   useEffect(() => {
     getAllCategory();
-    getTotal();
   }, []);
-  //get products
-  const getAllProducts = async () => {
-    try {
-      setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
-      setLoading(false);
-      setProducts(data.products);
-    } catch (error) {
-      setLoading(false);
-      console.log(error);
-    }
-  };
 
-  //getTOtal COunt
-  const getTotal = async () => {
+  //get a page of products, the first page replaces the ones shown
+  const getProducts = async (next) => {
     try {
-      const { data } = await axios.get("/api/v1/product/product-count");
-      setTotal(data?.total);
+      setLoading(true);
+      const { data } = await axios.get("/api/v1/product/catalog", {
+        params: { ...Object.fromEntries(searchParams), page: next },
+      });
+      setProducts(
+        next === 1 ? data.data.products : [...products, ...data.data.products]
+      );
+      setTotal(data.data.total);
+      setFacets(data.data.facets);
+      setPage(next);
     } catch (error) {
       console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    } finally {
+      setLoading(false);
     }
   };
 
   useEffect(() => {
-    if (page === 1) return;
-    loadMore();
-  }, [page]);
-  //load more
-  const loadMore = async () => {
-    try {
-      setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
-      setLoading(false);
-      setProducts([...products, ...data?.products]);
-    } catch (error) {
-      console.log(error);
-      setLoading(false);
-    }
+    setSlider(null);
+    getProducts(1);
+    //eslint-disable-next-line
+  }, [searchParams]);
+
+  //change some filters, an empty value removes the filter
+  const updateFilters = (changes) => {
+    const next = { ...Object.fromEntries(searchParams), ...changes };
+    setSearchParams(
+      Object.fromEntries(
+        Object.entries(next).filter(
+          ([, value]) => value !== "" && value !== null && value !== undefined
+        )
+      )
+    );
   };
 
   // filter by cat
   const handleFilter = (value, id) => {
-    let all = [...checked];
-    if (value) {
-      all.push(id);
-    } else {
-      all = all.filter((c) => c !== id);
-    }
-    setChecked(all);
+    const all = value ? [...checked, id] : checked.filter((c) => c !== id);
+    updateFilters({ categories: all.join(",") });
   };
-  useEffect(() => {
-    if (!checked.length || !radio.length) getAllProducts();
-  }, [checked.length, radio.length]);
 
-  useEffect(() => {
-    if (checked.length || radio.length) filterProduct();
-  }, [checked, radio]);
+  const sliderMin = Math.floor(facets.prices.min);
+  const sliderMax = Math.ceil(facets.prices.max);
+
+  //products a category would show, its subcategories included
+  const categoryCount = (id) =>
+    subtreeIds(categories, id).reduce(
+      (count, c) => count + (facets.categories[c] || 0),
+      0
+    );
 
-  //get filterd product
-  const filterProduct = async () => {
-    try {
-      const { data } = await axios.post("/api/v1/product/product-filters", {
-        checked,
-        radio,
-      });
-      setProducts(data?.products);
-    } catch (error) {
-      console.log(error);
-    }
-  };
   return (
     <Layout title={"ALL Products - Best offers "}>
       {/* banner image */}
@@ -120,30 +134,105 @@ const HomePage = () => {
         <div className="col-md-3 filters">
           <h4 className="text-center">Filter By Category</h4>
           <div className="d-flex flex-column">
-            {categories?.map((c) => (
-              <Checkbox
-                key={c._id}
-                onChange={(e) => handleFilter(e.target.checked, c._id)}
-              >
-                {c.name}
-              </Checkbox>
-            ))}
+            {flattenTree(categoryTree(categories)).map((c) => {
+              const count = categoryCount(c._id);
+              return (
+                <Checkbox
+                  key={c._id}
+                  style={{ marginLeft: `${c.depth * 1.5}rem` }}
+                  checked={checked.includes(c._id)}
+                  disabled={!count && !checked.includes(c._id)}
+                  onChange={(e) => handleFilter(e.target.checked, c._id)}
+                >
+                  {c.name} ({count})
+                </Checkbox>
+              );
+            })}
           </div>
           {/* price filter */}
           <h4 className="text-center mt-4">Filter By Price</h4>
           <div className="d-flex flex-column">
-            <Radio.Group onChange={(e) => setRadio(e.target.value)}>
-              {Prices?.map((p) => (
-                <div key={p._id}>
-                  <Radio value={p.array}>{p.name}</Radio>
+            <Radio.Group
+              value={price}
+              onChange={(e) => {
+                const [minPrice, maxPrice] = e.target.value.split("-");
+                updateFilters({ minPrice, maxPrice });
+              }}
+            >
+              <div>
+                <Radio value="">Any Price</Radio>
+              </div>
+              {facets.prices.ranges.map((p) => (
+                <div key={p.min}>
+                  <Radio value={`${p.min}-${p.max ?? ""}`} disabled={!p.count}>
+                    {priceLabel(p)} ({p.count})
+                  </Radio>
                 </div>
               ))}
             </Radio.Group>
+            {sliderMax > sliderMin && (
+              <Slider
+                range
+                className="mx-3"
+                min={sliderMin}
+                max={sliderMax}
+                value={
+                  slider || [
+                    Number(searchParams.get("minPrice") || sliderMin),
+                    Number(searchParams.get("maxPrice") || sliderMax),
+                  ]
+                }
+                tooltip={{ formatter: (value) => `$${value}` }}
+                onChange={setSlider}
+                onChangeComplete={([minPrice, maxPrice]) =>
+                  // a slider at its ends leaves that end open
+                  updateFilters({
+                    minPrice: minPrice > sliderMin ? String(minPrice) : "",
+                    maxPrice: maxPrice < sliderMax ? String(maxPrice) : "",
+                  })
+                }
+              />
+            )}
           </div>
+          <h4 className="text-center mt-4">Filter By Rating</h4>
           <div className="d-flex flex-column">
+            <Radio.Group
+              value={searchParams.get("rating") || ""}
+              onChange={(e) => updateFilters({ rating: e.target.value })}
+            >
+              <div>
+                <Radio value="">Any Rating</Radio>
+              </div>
+              {RATINGS.map((rating) => (
+                <div key={rating}>
+                  <Radio value={String(rating)}>{rating} Stars & Up</Radio>
+                </div>
+              ))}
+            </Radio.Group>
+          </div>
+          <h4 className="text-center mt-4">Availability</h4>
+          <div className="d-flex flex-column">
+            <Checkbox
+              checked={searchParams.get("inStock") === "true"}
+              onChange={(e) =>
+                updateFilters({ inStock: e.target.checked ? "true" : "" })
+              }
+            >
+              In Stock Only
+            </Checkbox>
+            <Checkbox
+              checked={searchParams.get("shipping") === "true"}
+              onChange={(e) =>
+                updateFilters({ shipping: e.target.checked ? "true" : "" })
+              }
+            >
+              Shipping Available
+            </Checkbox>
+          </div>
+          <div className="d-flex flex-column mt-3">
             <button
               className="btn btn-danger"
-              onClick={() => window.location.reload()}
+              onClick={() => setSearchParams({})}
             >
               RESET FILTERS
             </button>
@@ -151,6 +240,20 @@ const HomePage = () => {
         </div>
         <div className="col-md-9 ">
           <h1 className="text-center">All Products</h1>
+          <div className="d-flex justify-content-between align-items-center mx-2">
+            <h6 className="mb-0">{total} products</h6>
+            <select
+              className="form-select w-auto"
+              value={searchParams.get("sort") || "newest"}
+              onChange={(e) => updateFilters({ sort: e.target.value })}
+            >
+              {Object.entries(SORTS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
           <div className="d-flex flex-wrap">
             {products?.map((p) => (
               <div className="card m-2" key={p._id}>
@@ -168,7 +271,12 @@ const HomePage = () => {
                         currency: "USD",
                       })}
                     </h5>
+                    <WishlistButton product={p} />
                   </div>
+                  <ProductRating
+                    average={p.ratingAverage}
+                    count={p.ratingCount}
+                  />
                   <p className="card-text ">
                     {p.description.substring(0, 60)}...
                   </p>
@@ -182,15 +290,15 @@ const HomePage = () => {
                     <button
                       className="btn btn-dark ms-1"
                       onClick={() => {
-                        setCart([...cart, p]);
-                        localStorage.setItem(
-                          "cart",
-                          JSON.stringify([...cart, p])
-                        );
+                        // variants are chosen on the product page
+                        if (p.variants?.length) {
+                          return navigate(`/product/${p.slug}`);
+                        }
+                        addToCart(p);
                         toast.success("Item Added to cart");
                       }}
                     >
-                      ADD TO CART
+                      {p.variants?.length ? "CHOOSE OPTIONS" : "ADD TO CART"}
                     </button>
                   </div>
                 </div>
@@ -203,7 +311,7 @@ const HomePage = () => {
                 className="btn loadmore"
                 onClick={(e) => {
                   e.preventDefault();
-                  setPage(page + 1);
+                  getProducts(page + 1);
                 }}
               >
                 {loading ? (
@@ -2,26 +2,75 @@ import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
 import axios from "axios";
 import { useParams, useNavigate } from "react-router-dom";
+import ProductRating from "../components/ProductRating";
+import ProductReviews from "../components/ProductReviews";
+import WishlistButton from "../components/WishlistButton";
+import VariantPicker, { matchVariant } from "../components/VariantPicker";
+import Breadcrumbs from "../components/Breadcrumbs";
+import { useCart } from "../context/cart";
+import toast from "react-hot-toast";
 import "../styles/ProductDetailsStyles.css";
 
 const ProductDetails = () => {
   const params = useParams();
   const navigate = useNavigate();
   const [product, setProduct] = useState({});
+  const [path, setPath] = useState([]);
   const [relatedProducts, setRelatedProducts] = useState([]);
+  const [selectedImage, setSelectedImage] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [, , { addToCart }] = useCart();
+  const images = product?.images || [];
+  const imageUrl = (id, size) =>
+    `/api/v1/product/product-image/${id}?size=${size}`;
+  const hasVariants = product?.variants?.length > 0;
+  const variant = matchVariant(product?.variants, selectedOptions);
+  const allChosen = product?.options?.every(
+    ({ name }) => selectedOptions[name]
+  );
+  const stock = hasVariants ? variant : product;
 
   //initalp details
   useEffect(() => {
     if (params?.slug) getProduct();
+    setSelectedImage(0);
+    setSelectedOptions({});
   }, [params?.slug]);
+
+  //choose an option value, showing the variant image when it has one
+  const handleSelectOptions = (options) => {
+    setSelectedOptions(options);
+    const next = matchVariant(product.variants, options);
+    if (next?.image && images.includes(next.image)) {
+      setSelectedImage(images.indexOf(next.image));
+    }
+  };
+
+  //add the product, or the chosen variant of it
+  const handleAddToCart = () => {
+    addToCart(product, 1, variant);
+    toast.success("Item Added to cart");
+  };
   //getProduct
   const getProduct = async () => {
     try {
       const { data } = await axios.get(
         `/api/v1/product/get-product/${params.slug}`
       );
-      setProduct(data?.product);
-      getSimilarProduct(data?.product._id, data?.product.category._id);
+      //the product was renamed, go to where it lives now
+      if (data?.data?.redirect) {
+        navigate(`/product/${data.data.redirect}`, { replace: true });
+        return;
+      }
+      setProduct(data?.data?.product);
+      setPath(data?.data?.path);
+      //a product can be left without a category by old data
+      if (data?.data?.product.category) {
+        getSimilarProduct(
+          data?.data?.product._id,
+          data?.data?.product.category._id
+        );
+      }
     } catch (error) {
       console.log(error);
     }
@@ -32,7 +81,7 @@ const ProductDetails = () => {
       const { data } = await axios.get(
         `/api/v1/product/related-product/${pid}/${cid}`
       );
-      setRelatedProducts(data?.products);
+      setRelatedProducts(data?.data?.products);
     } catch (error) {
       console.log(error);
     }
@@ -40,14 +89,48 @@ const ProductDetails = () => {
   return (
     <Layout>
       <div className="row container product-details">
-        <div className="col-md-6">
-          <img
-            src={`/api/v1/product/product-photo/${product._id}`}
-            className="card-img-top"
-            alt={product.name}
-            height="300"
-            width={"350px"}
-          />
+        <div className="col-12">
+          {product._id && <Breadcrumbs path={[...path, product]} />}
+        </div>
+        <div className="col-md-6 product-gallery">
+          {images.length ? (
+            <a
+              href={imageUrl(images[selectedImage], "original")}
+              target="_blank"
+              rel="noreferrer"
+            >
+              <img
+                src={imageUrl(images[selectedImage], "medium")}
+                className="card-img-top"
+                alt={product.name}
+                height="300"
+                width={"350px"}
+              />
+            </a>
+          ) : (
+            <img
+              src={`/api/v1/product/product-photo/${product._id}`}
+              className="card-img-top"
+              alt={product.name}
+              height="300"
+              width={"350px"}
+            />
+          )}
+          {images.length > 1 && (
+            <div className="d-flex flex-wrap mt-2">
+              {images.map((id, i) => (
+                <img
+                  key={id}
+                  src={imageUrl(id, "thumbnail")}
+                  alt={`${product.name} ${i + 1}`}
+                  className={`gallery-thumbnail ${
+                    i === selectedImage ? "selected" : ""
+                  }`}
+                  onClick={() => setSelectedImage(i)}
+                />
+              ))}
+            </div>
+          )}
         </div>
         <div className="col-md-6 product-details-info">
           <h1 className="text-center">Product Details</h1>
@@ -55,17 +138,50 @@ const ProductDetails = () => {
           <h6>Name : {product.name}</h6>
           <h6>Description : {product.description}</h6>
           <h6>
-            Price :
-            {product?.price?.toLocaleString("en-US", {
+            Price :{hasVariants && !variant && " From "}
+            {(variant || product)?.price?.toLocaleString("en-US", {
               style: "currency",
               currency: "USD",
             })}
           </h6>
+          {hasVariants && (
+            <VariantPicker
+              options={product.options}
+              variants={product.variants}
+              selected={selectedOptions}
+              onSelect={handleSelectOptions}
+            />
+          )}
+          <h6>
+            Availability :{" "}
+            {!stock
+              ? allChosen
+                ? "Not Available"
+                : "Choose Options"
+              : stock.quantity > 0
+              ? "In Stock"
+              : "Out Of Stock"}
+          </h6>
           <h6>Category : {product?.category?.name}</h6>
-          <button class="btn btn-secondary ms-1">ADD TO CART</button>
+          <ProductRating
+            average={product?.ratingAverage}
+            count={product?.ratingCount}
+          />
+          <h6>
+            Wishlist : <WishlistButton product={product} />
+          </h6>
+          <button
+            className="btn btn-secondary ms-1"
+            disabled={!(stock?.quantity > 0)}
+            onClick={handleAddToCart}
+          >
+            ADD TO CART
+          </button>
         </div>
       </div>
       <hr />
+      <ProductReviews productId={product?._id} onChange={getProduct} />
+      <hr />
       <div className="row container similar-products">
         <h4>Similar Products ➡️</h4>
         {relatedProducts.length < 1 && (
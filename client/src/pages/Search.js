@@ -1,38 +1,125 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { Pagination } from "antd";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useSearch } from "../context/search";
+import { useCart } from "../context/cart";
+import WishlistButton from "../components/WishlistButton";
+import Highlight from "../components/Highlight";
 const Search = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [values, setValues] = useSearch();
+  const [, , { addToCart }] = useCart();
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [perPage, setPerPage] = useState(12);
+  const [loading, setLoading] = useState(false);
+  // the search lives in the url so results can be shared and reloaded
+  const keyword = searchParams.get("keyword") || "";
+  const page = Number(searchParams.get("page")) || 1;
+
+  //get results
+  const getResults = async () => {
+    try {
+      setLoading(true);
+      const { data } = await axios.get("/api/v1/product/search", {
+        params: { keyword, page },
+      });
+      setProducts(data.data.products);
+      setTotal(data.data.total);
+      setPerPage(data.data.perPage);
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setValues({ ...values, keyword });
+    if (keyword.trim()) {
+      getResults();
+    } else {
+      setProducts([]);
+      setTotal(0);
+    }
+    //eslint-disable-next-line
+  }, [keyword, page]);
+
   return (
     <Layout title={"Search results"}>
       <div className="container">
         <div className="text-center">
           <h1>Search Resuts</h1>
           <h6>
-            {values?.results.length < 1
+            {loading
+              ? "Searching ..."
+              : total < 1
               ? "No Products Found"
-              : `Found ${values?.results.length}`}
+              : `Found ${total} for "${keyword}"`}
           </h6>
           <div className="d-flex flex-wrap mt-4">
-            {values?.results.map((p) => (
-              <div className="card m-2" style={{ width: "18rem" }}>
+            {products.map((p) => (
+              <div className="card m-2" style={{ width: "18rem" }} key={p._id}>
                 <img
                   src={`/api/v1/product/product-photo/${p._id}`}
                   className="card-img-top"
                   alt={p.name}
                 />
                 <div className="card-body">
-                  <h5 className="card-title">{p.name}</h5>
+                  <h5 className="card-title">
+                    <Highlight text={p.name} search={keyword} />{" "}
+                    <WishlistButton product={p} />
+                  </h5>
                   <p className="card-text">
-                    {p.description.substring(0, 30)}...
+                    <Highlight
+                      text={p.description.substring(0, 60)}
+                      search={keyword}
+                    />
+                    ...
                   </p>
                   <p className="card-text"> $ {p.price}</p>
-                  <button class="btn btn-primary ms-1">More Details</button>
-                  <button class="btn btn-secondary ms-1">ADD TO CART</button>
+                  <button
+                    className="btn btn-primary ms-1"
+                    onClick={() => navigate(`/product/${p.slug}`)}
+                  >
+                    More Details
+                  </button>
+                  <button
+                    className="btn btn-secondary ms-1"
+                    onClick={() => {
+                      // variants are chosen on the product page
+                      if (p.variants?.length) {
+                        return navigate(`/product/${p.slug}`);
+                      }
+                      addToCart(p);
+                      toast.success("Item Added to cart");
+                    }}
+                  >
+                    {p.variants?.length ? "CHOOSE OPTIONS" : "ADD TO CART"}
+                  </button>
                 </div>
               </div>
             ))}
           </div>
+          {total > perPage && (
+            <Pagination
+              className="my-3"
+              current={page}
+              pageSize={perPage}
+              total={total}
+              onChange={(value) =>
+                setSearchParams({ keyword, page: String(value) })
+              }
+              showSizeChanger={false}
+            />
+          )}
         </div>
       </div>
     </Layout>
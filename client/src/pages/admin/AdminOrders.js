@@ -5,24 +5,38 @@ import AdminMenu from "../../components/AdminMenu";
 import Layout from "../../components/Layout";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
-import { Select } from "antd";
+import OrderTimeline from "../../components/OrderTimeline";
+import ShipmentForm from "../../components/Form/ShipmentForm";
+import { Modal, Select } from "antd";
+import { variantLabel } from "../../components/VariantPicker";
 const { Option } = Select;
 
+// the statuses an order may move to from each status
+const nextStatuses = {
+  "Not Process": ["Processing", "cancel"],
+  Processing: ["Shipped", "cancel"],
+  Shipped: ["deliverd"],
+  deliverd: [],
+  cancel: [],
+};
+
+const emptyShipment = () => ({
+  carrier: "",
+  trackingNumber: "",
+  shippedAt: moment().format("YYYY-MM-DD"),
+  estimatedDelivery: "",
+});
+
 const AdminOrders = () => {
-  const [status, setStatus] = useState([
-    "Not Process",
-    "Processing",
-    "Shipped",
-    "deliverd",
-    "cancel",
-  ]);
   const [changeStatus, setCHangeStatus] = useState("");
   const [orders, setOrders] = useState([]);
+  const [shipping, setShipping] = useState(null);
+  const [shipment, setShipment] = useState(emptyShipment());
   const [auth, setAuth] = useAuth();
   const getOrders = async () => {
     try {
       const { data } = await axios.get("/api/v1/auth/all-orders");
-      setOrders(data);
+      setOrders(data.data.orders);
     } catch (error) {
       console.log(error);
     }
@@ -32,14 +46,26 @@ const AdminOrders = () => {
     if (auth?.token) getOrders();
   }, [auth?.token]);
 
-  const handleChange = async (orderId, value) => {
+  const handleChange = async (orderId, value, details) => {
+    // shipping needs carrier and tracking details first
+    if (value === "Shipped" && !details) {
+      setShipment(emptyShipment());
+      setShipping(orderId);
+      return;
+    }
     try {
       const { data } = await axios.put(`/api/v1/auth/order-status/${orderId}`, {
         status: value,
+        shipment: details,
       });
+      setShipping(null);
       getOrders();
     } catch (error) {
       console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+      getOrders();
     }
   };
   return (
@@ -62,6 +88,7 @@ const AdminOrders = () => {
                       <th scope="col"> date</th>
                       <th scope="col">Payment</th>
                       <th scope="col">Quantity</th>
+                      <th scope="col">Total</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -71,38 +98,98 @@ const AdminOrders = () => {
                         <Select
                           bordered={false}
                           onChange={(value) => handleChange(o._id, value)}
-                          defaultValue={o?.status}
+                          value={o?.status}
+                          disabled={!nextStatuses[o?.status]?.length}
                         >
-                          {status.map((s, i) => (
-                            <Option key={i} value={s}>
-                              {s}
-                            </Option>
-                          ))}
+                          {[o?.status, ...(nextStatuses[o?.status] || [])].map(
+                            (s, i) => (
+                              <Option key={i} value={s}>
+                                {s}
+                              </Option>
+                            )
+                          )}
                         </Select>
                       </td>
                       <td>{o?.buyer?.name}</td>
                       <td>{moment(o?.createAt).fromNow()}</td>
                       <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                      <td>{o?.products?.length}</td>
+                      <td>
+                        {o?.products?.reduce(
+                          (count, l) => count + l.quantity,
+                          0
+                        )}
+                      </td>
+                      <td>
+                        {o?.products
+                          ?.reduce(
+                            (sum, l) => sum + l.unitPrice * l.quantity,
+                            -(o?.discount?.amount || 0)
+                          )
+                          .toLocaleString("en-US", {
+                            style: "currency",
+                            currency: "USD",
+                          })}
+                      </td>
                     </tr>
                   </tbody>
                 </table>
+                <OrderTimeline history={o?.statusHistory} />
+                {o?.shipment?.trackingNumber && (
+                  <p className="px-2">
+                    Shipped with {o.shipment.carrier} :{" "}
+                    {o.shipment.trackingNumber}
+                  </p>
+                )}
+                {o?.status === "cancel" && o?.cancellation && (
+                  <p className="px-2">
+                    Cancelled by {o.cancellation.by?.name || "-"} :{" "}
+                    {o.cancellation.reason}
+                  </p>
+                )}
+                {o?.cancellation?.finished === false && (
+                  <p className="px-2 text-danger">
+                    Refunded, but the stock or coupon could not all be given
+                    back{" "}
+                    <button
+                      className="btn btn-outline-danger btn-sm ms-2"
+                      onClick={() => handleChange(o._id, "cancel")}
+                    >
+                      Try Again
+                    </button>
+                  </p>
+                )}
+                {o?.discount?.amount > 0 && (
+                  <p className="px-2">
+                    Coupon {o.discount.code} : -{o.discount.amount}
+                  </p>
+                )}
                 <div className="container">
-                  {o?.products?.map((p, i) => (
-                    <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                  {o?.products?.map(({ product: p, ...line }) => (
+                    <div className="row mb-2 p-3 card flex-row" key={line._id}>
                       <div className="col-md-4">
-                        <img
-                          src={`/api/v1/product/product-photo/${p._id}`}
-                          className="card-img-top"
-                          alt={p.name}
-                          width="100px"
-                          height={"100px"}
-                        />
+                        {p && (
+                          <img
+                            src={`/api/v1/product/product-photo/${p._id}`}
+                            className="card-img-top"
+                            alt={line.name || p.name}
+                            width="100px"
+                            height={"100px"}
+                          />
+                        )}
                       </div>
                       <div className="col-md-8">
-                        <p>{p.name}</p>
-                        <p>{p.description.substring(0, 30)}</p>
-                        <p>Price : {p.price}</p>
+                        <p>{line.name || p?.name || "Deleted product"}</p>
+                        {line.sku && (
+                          <p>
+                            {variantLabel(line.options)} ({line.sku})
+                          </p>
+                        )}
+                        {p?.description && (
+                          <p>{p.description.substring(0, 30)}</p>
+                        )}
+                        <p>Price : {line.unitPrice}</p>
+                        <p>Quantity : {line.quantity}</p>
+                        <p>Subtotal : {line.unitPrice * line.quantity}</p>
                       </div>
                     </div>
                   ))}
@@ -110,6 +197,20 @@ const AdminOrders = () => {
               </div>
             );
           })}
+          <Modal
+            onCancel={() => setShipping(null)}
+            footer={null}
+            open={!!shipping}
+          >
+            <ShipmentForm
+              value={shipment}
+              setValue={setShipment}
+              handleSubmit={(e) => {
+                e.preventDefault();
+                handleChange(shipping, "Shipped", shipment);
+              }}
+            />
+          </Modal>
         </div>
       </div>
     </Layout>
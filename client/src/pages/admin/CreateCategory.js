@@ -4,29 +4,39 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import CategoryForm from "../../components/Form/CategoryForm";
+import { categoryTree, flattenTree, subtreeIds } from "../../hooks/useCategory";
 import { Modal } from "antd";
 const CreateCategory = () => {
   const [categories, setCategories] = useState([]);
   const [name, setName] = useState("");
+  const [parent, setParent] = useState("");
   const [visible, setVisible] = useState(false);
   const [selected, setSelected] = useState(null);
   const [updatedName, setUpdatedName] = useState("");
+  const [updatedParent, setUpdatedParent] = useState("");
+  const [deleting, setDeleting] = useState(null);
+  const [moveTo, setMoveTo] = useState("");
+  const tree = flattenTree(categoryTree(categories));
+  //a category cannot move under itself or one of its subcategories
+  const excluded = selected ? subtreeIds(categories, selected._id) : [];
   //handle Form
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       const { data } = await axios.post("/api/v1/category/create-category", {
         name,
+        parent,
       });
       if (data?.success) {
         toast.success(`${name} is created`);
         getAllCategory();
-      } else {
-        toast.error(data.message);
       }
     } catch (error) {
       console.log(error);
-      toast.error("somthing went wrong in input form");
+      toast.error(
+        error?.response?.data?.error?.message ||
+          "somthing went wrong in input form"
+      );
     }
   };
 
@@ -35,7 +45,7 @@ const CreateCategory = () => {
     try {
       const { data } = await axios.get("/api/v1/category/get-category");
       if (data.success) {
-        setCategories(data.category);
+        setCategories(data.data.category);
       }
     } catch (error) {
       console.log(error);
@@ -53,36 +63,38 @@ const CreateCategory = () => {
     try {
       const { data } = await axios.put(
         `/api/v1/category/update-category/${selected._id}`,
-        { name: updatedName }
+        { name: updatedName, parent: updatedParent }
       );
       if (data.success) {
         toast.success(`${updatedName} is updated`);
         setSelected(null);
         setUpdatedName("");
+        setUpdatedParent("");
         setVisible(false);
         getAllCategory();
-      } else {
-        toast.error(data.message);
       }
     } catch (error) {
-      toast.error("Somtihing went wrong");
+      toast.error(
+        error?.response?.data?.error?.message || "Somtihing went wrong"
+      );
     }
   };
-  //delete category
-  const handleDelete = async (pId) => {
+  //delete category, a category with products needs somewhere to move them
+  const handleDelete = async (pId, moveTo) => {
     try {
       const { data } = await axios.delete(
-        `/api/v1/category/delete-category/${pId}`
+        `/api/v1/category/delete-category/${pId}`,
+        { params: { moveTo } }
       );
       if (data.success) {
         toast.success(`category is deleted`);
-
+        setDeleting(null);
         getAllCategory();
-      } else {
-        toast.error(data.message);
       }
     } catch (error) {
-      toast.error("Somtihing went wrong");
+      toast.error(
+        error?.response?.data?.error?.message || "Somtihing went wrong"
+      );
     }
   };
   return (
@@ -99,6 +111,9 @@ const CreateCategory = () => {
                 handleSubmit={handleSubmit}
                 value={name}
                 setValue={setName}
+                parent={parent}
+                setParent={setParent}
+                parents={tree}
               />
             </div>
             <div className="w-75">
@@ -106,36 +121,44 @@ const CreateCategory = () => {
                 <thead>
                   <tr>
                     <th scope="col">Name</th>
+                    <th scope="col">Products</th>
                     <th scope="col">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {categories?.map((c) => (
-                    <>
-                      <tr>
-                        <td key={c._id}>{c.name}</td>
-                        <td>
-                          <button
-                            className="btn btn-primary ms-2"
-                            onClick={() => {
-                              setVisible(true);
-                              setUpdatedName(c.name);
-                              setSelected(c);
-                            }}
-                          >
-                            Edit
-                          </button>
-                          <button
-                            className="btn btn-danger ms-2"
-                            onClick={() => {
+                  {tree.map((c) => (
+                    <tr key={c._id}>
+                      <td style={{ paddingLeft: `${0.5 + c.depth * 1.5}rem` }}>
+                        {c.name}
+                      </td>
+                      <td>{c.productCount}</td>
+                      <td>
+                        <button
+                          className="btn btn-primary ms-2"
+                          onClick={() => {
+                            setVisible(true);
+                            setUpdatedName(c.name);
+                            setUpdatedParent(c.parent || "");
+                            setSelected(c);
+                          }}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => {
+                            if (c.productCount) {
+                              setMoveTo("");
+                              setDeleting(c);
+                            } else {
                               handleDelete(c._id);
-                            }}
-                          >
-                            Delete
-                          </button>
-                        </td>
-                      </tr>
-                    </>
+                            }
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
                   ))}
                 </tbody>
               </table>
@@ -148,9 +171,44 @@ const CreateCategory = () => {
               <CategoryForm
                 value={updatedName}
                 setValue={setUpdatedName}
+                parent={updatedParent}
+                setParent={setUpdatedParent}
+                parents={tree.filter((c) => !excluded.includes(c._id))}
                 handleSubmit={handleUpdate}
               />
             </Modal>
+            <Modal
+              onCancel={() => setDeleting(null)}
+              footer={null}
+              visible={!!deleting}
+            >
+              <p>
+                {deleting?.name} has {deleting?.productCount} products, choose a
+                category to move them to.
+              </p>
+              <select
+                className="form-select mb-3"
+                value={moveTo}
+                onChange={(e) => setMoveTo(e.target.value)}
+              >
+                <option value="">Select a category</option>
+                {tree
+                  .filter((c) => c._id !== deleting?._id)
+                  .map((c) => (
+                    <option key={c._id} value={c._id}>
+                      {"— ".repeat(c.depth)}
+                      {c.name}
+                    </option>
+                  ))}
+              </select>
+              <button
+                className="btn btn-danger"
+                disabled={!moveTo}
+                onClick={() => handleDelete(deleting._id, moveTo)}
+              >
+                Move Products and Delete
+              </button>
+            </Modal>
           </div>
         </div>
       </div>
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+import moment from "moment";
+import CouponForm from "../../components/Form/CouponForm";
+import useCategory from "../../hooks/useCategory";
+import { Modal } from "antd";
+
+const emptyCoupon = {
+  code: "",
+  type: "percentage",
+  value: "",
+  minCartTotal: "",
+  expiresAt: "",
+  usageLimit: "",
+  perUserLimit: "",
+  category: "",
+  active: true,
+};
+
+const CreateCoupon = () => {
+  const categories = useCategory();
+  const [coupons, setCoupons] = useState([]);
+  const [coupon, setCoupon] = useState(emptyCoupon);
+  const [visible, setVisible] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [updatedCoupon, setUpdatedCoupon] = useState(emptyCoupon);
+
+  //handle Form
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/coupon/create-coupon", coupon);
+      if (data?.success) {
+        toast.success(`${data.data.coupon.code} is created`);
+        setCoupon(emptyCoupon);
+        getAllCoupons();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+
+  //get all coupons
+  const getAllCoupons = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/coupon/get-coupons");
+      if (data.success) {
+        setCoupons(data.data.coupons);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting coupons");
+    }
+  };
+
+  useEffect(() => {
+    getAllCoupons();
+  }, []);
+
+  //update coupon
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(
+        `/api/v1/coupon/update-coupon/${selected._id}`,
+        updatedCoupon
+      );
+      if (data.success) {
+        toast.success(`${data.data.coupon.code} is updated`);
+        setSelected(null);
+        setUpdatedCoupon(emptyCoupon);
+        setVisible(false);
+        getAllCoupons();
+      }
+    } catch (error) {
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+
+  //delete coupon
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/coupon/delete-coupon/${id}`);
+      if (data.success) {
+        toast.success(`coupon is deleted`);
+        getAllCoupons();
+      }
+    } catch (error) {
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Coupons"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Manage Coupons</h1>
+            <div className="p-3 w-50">
+              <CouponForm
+                handleSubmit={handleSubmit}
+                value={coupon}
+                setValue={setCoupon}
+                categories={categories}
+              />
+            </div>
+            <div className="w-75">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Code</th>
+                    <th scope="col">Discount</th>
+                    <th scope="col">Min Total</th>
+                    <th scope="col">Expires</th>
+                    <th scope="col">Used</th>
+                    <th scope="col">Category</th>
+                    <th scope="col">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coupons?.map((c) => (
+                    <tr key={c._id}>
+                      <td>
+                        {c.code} {!c.active && "(inactive)"}
+                      </td>
+                      <td>
+                        {c.type === "percentage" ? `${c.value}%` : c.value}
+                      </td>
+                      <td>{c.minCartTotal}</td>
+                      <td>
+                        {c.expiresAt ? moment(c.expiresAt).format("LL") : "-"}
+                      </td>
+                      <td>
+                        {c.usedCount}
+                        {c.usageLimit ? ` / ${c.usageLimit}` : ""}
+                      </td>
+                      <td>{c.category?.name || "All"}</td>
+                      <td>
+                        <button
+                          className="btn btn-primary ms-2"
+                          onClick={() => {
+                            setVisible(true);
+                            setSelected(c);
+                            setUpdatedCoupon({
+                              ...emptyCoupon,
+                              ...c,
+                              expiresAt: c.expiresAt
+                                ? moment(c.expiresAt).format("YYYY-MM-DD")
+                                : "",
+                              usageLimit: c.usageLimit || "",
+                              perUserLimit: c.perUserLimit || "",
+                              category: c.category?._id || "",
+                            });
+                          }}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => {
+                            handleDelete(c._id);
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <Modal
+              onCancel={() => setVisible(false)}
+              footer={null}
+              open={visible}
+            >
+              <CouponForm
+                value={updatedCoupon}
+                setValue={setUpdatedCoupon}
+                handleSubmit={handleUpdate}
+                categories={categories}
+              />
+            </Modal>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default CreateCoupon;
@@ -5,6 +5,8 @@ import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
 import { useNavigate } from "react-router-dom";
+import ImageListForm, { moveItem } from "../../components/Form/ImageListForm";
+import VariantForm, { optionList } from "../../components/Form/VariantForm";
 const { Option } = Select;
 
 const CreateProduct = () => {
@@ -16,14 +18,16 @@ const CreateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [images, setImages] = useState([]);
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
 
   //get all category
   const getAllCategory = async () => {
     try {
       const { data } = await axios.get("/api/v1/category/get-category");
       if (data?.success) {
-        setCategories(data?.category);
+        setCategories(data?.data?.category);
       }
     } catch (error) {
       console.log(error);
@@ -44,21 +48,19 @@ const CreateProduct = () => {
       productData.append("description", description);
       productData.append("price", price);
       productData.append("quantity", quantity);
-      productData.append("photo", photo);
+      images.forEach((image) => productData.append("images", image.file));
       productData.append("category", category);
-      const { data } = axios.post(
-        "/api/v1/product/create-product",
-        productData
-      );
-      if (data?.success) {
-        toast.error(data?.message);
-      } else {
-        toast.success("Product Created Successfully");
-        navigate("/dashboard/admin/products");
-      }
+      if (shipping) productData.append("shipping", shipping);
+      productData.append("options", JSON.stringify(optionList(options)));
+      productData.append("variants", JSON.stringify(variants));
+      await axios.post("/api/v1/product/create-product", productData);
+      toast.success("Product Created Successfully");
+      navigate("/dashboard/admin/products");
     } catch (error) {
       console.log(error);
-      toast.error("something went wrong");
+      toast.error(
+        error?.response?.data?.error?.message || "something went wrong"
+      );
     }
   };
 
@@ -90,27 +92,32 @@ const CreateProduct = () => {
               </Select>
               <div className="mb-3">
                 <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
+                  Upload Images
                   <input
                     type="file"
-                    name="photo"
+                    name="images"
                     accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
+                    multiple
+                    onChange={(e) => {
+                      setImages([
+                        ...images,
+                        ...[...e.target.files].map((file) => {
+                          const src = URL.createObjectURL(file);
+                          return { key: src, src, file };
+                        }),
+                      ]);
+                      e.target.value = "";
+                    }}
                     hidden
                   />
                 </label>
               </div>
               <div className="mb-3">
-                {photo && (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
+                <ImageListForm
+                  images={images}
+                  onMove={(from, to) => setImages(moveItem(images, from, to))}
+                  onRemove={(i) => setImages(images.filter((_, j) => j !== i))}
+                />
               </div>
               <div className="mb-3">
                 <input
@@ -137,6 +144,7 @@ const CreateProduct = () => {
                   value={price}
                   placeholder="write a Price"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setPrice(e.target.value)}
                 />
               </div>
@@ -146,9 +154,16 @@ const CreateProduct = () => {
                   value={quantity}
                   placeholder="write a quantity"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
+              <VariantForm
+                options={options}
+                setOptions={setOptions}
+                variants={variants}
+                setVariants={setVariants}
+              />
               <div className="mb-3">
                 <Select
                   bordered={false}
@@ -160,8 +175,8 @@ const CreateProduct = () => {
                     setShipping(value);
                   }}
                 >
-                  <Option value="0">No</Option>
-                  <Option value="1">Yes</Option>
+                  <Option value="false">No</Option>
+                  <Option value="true">Yes</Option>
                 </Select>
               </div>
               <div className="mb-3">
@@ -11,7 +11,7 @@ const Products = () => {
   const getAllProducts = async () => {
     try {
       const { data } = await axios.get("/api/v1/product/get-product");
-      setProducts(data.products);
+      setProducts(data.data.products);
     } catch (error) {
       console.log(error);
       toast.error("Someething Went Wrong");
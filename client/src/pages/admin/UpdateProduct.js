@@ -5,6 +5,11 @@ import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
 import { useNavigate, useParams } from "react-router-dom";
+import ImageListForm, { moveItem } from "../../components/Form/ImageListForm";
+import VariantForm, {
+  optionList,
+  toOptionRows,
+} from "../../components/Form/VariantForm";
 const { Option } = Select;
 
 const UpdateProduct = () => {
@@ -17,7 +22,14 @@ const UpdateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [images, setImages] = useState([]);
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  //the stock as it was loaded, by variant id
+  const [loadedStock, setLoadedStock] = useState({
+    quantity: "",
+    variants: {},
+  });
   const [id, setId] = useState("");
 
   //get single product
@@ -26,14 +38,29 @@ const UpdateProduct = () => {
       const { data } = await axios.get(
         `/api/v1/product/get-product/${params.slug}`
       );
-      setName(data.product.name);
-      setId(data.product._id);
-      setDescription(data.product.description);
-      setPrice(data.product.price);
-      setPrice(data.product.price);
-      setQuantity(data.product.quantity);
-      setShipping(data.product.shipping);
-      setCategory(data.product.category._id);
+      if (data.data.redirect) {
+        navigate(`/dashboard/admin/product/${data.data.redirect}`, {
+          replace: true,
+        });
+        return;
+      }
+      setName(data.data.product.name);
+      setId(data.data.product._id);
+      setDescription(data.data.product.description);
+      setPrice(data.data.product.price);
+      setPrice(data.data.product.price);
+      setQuantity(data.data.product.quantity);
+      setShipping(data.data.product.shipping ? "true" : "false");
+      setCategory(data.data.product.category?._id);
+      setImages(data.data.product.images);
+      setOptions(toOptionRows(data.data.product.options));
+      setVariants(data.data.product.variants || []);
+      setLoadedStock({
+        quantity: data.data.product.quantity,
+        variants: Object.fromEntries(
+          (data.data.product.variants || []).map((v) => [v._id, v.quantity])
+        ),
+      });
     } catch (error) {
       console.log(error);
     }
@@ -41,13 +68,13 @@ const UpdateProduct = () => {
   useEffect(() => {
     getSingleProduct();
     //eslint-disable-next-line
-  }, []);
+  }, [params.slug]);
   //get all category
   const getAllCategory = async () => {
     try {
       const { data } = await axios.get("/api/v1/category/get-category");
       if (data?.success) {
-        setCategories(data?.category);
+        setCategories(data?.data?.category);
       }
     } catch (error) {
       console.log(error);
@@ -67,25 +94,81 @@ const UpdateProduct = () => {
       productData.append("name", name);
       productData.append("description", description);
       productData.append("price", price);
-      productData.append("quantity", quantity);
-      photo && productData.append("photo", photo);
+      //only stock the admin changed is sent, so units checkout reserved
+      //while the form was open are not overwritten
+      if (String(quantity) !== String(loadedStock.quantity)) {
+        productData.append("quantity", quantity);
+      }
       productData.append("category", category);
-      const { data } = axios.put(
-        `/api/v1/product/update-product/${id}`,
-        productData
+      productData.append("shipping", shipping);
+      productData.append("options", JSON.stringify(optionList(options)));
+      productData.append(
+        "variants",
+        JSON.stringify(
+          variants.map(({ quantity, ...variant }) =>
+            String(quantity) === String(loadedStock.variants[variant._id])
+              ? variant
+              : { ...variant, quantity }
+          )
+        )
       );
-      if (data?.success) {
-        toast.error(data?.message);
-      } else {
-        toast.success("Product Updated Successfully");
-        navigate("/dashboard/admin/products");
-      }
+      await axios.put(`/api/v1/product/update-product/${id}`, productData);
+      toast.success("Product Updated Successfully");
+      navigate("/dashboard/admin/products");
     } catch (error) {
       console.log(error);
-      toast.error("something went wrong");
+      toast.error(
+        error?.response?.data?.error?.message || "something went wrong"
+      );
     }
   };
 
+  //images are saved as soon as they change
+  const imageRequest = async (request, message) => {
+    try {
+      const { data } = await request();
+      setImages(data.data.images);
+      //a removed image is taken off its variants too
+      setVariants(
+        variants.map((variant) =>
+          data.data.images.includes(variant.image)
+            ? variant
+            : { ...variant, image: "" }
+        )
+      );
+      toast.success(message);
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "something went wrong"
+      );
+    }
+  };
+
+  const handleAddImages = (files) => {
+    const imageData = new FormData();
+    [...files].forEach((file) => imageData.append("images", file));
+    imageRequest(
+      () => axios.post(`/api/v1/product/add-images/${id}`, imageData),
+      "Images Added"
+    );
+  };
+
+  const handleMoveImage = (from, to) =>
+    imageRequest(
+      () =>
+        axios.put(`/api/v1/product/reorder-images/${id}`, {
+          images: moveItem(images, from, to),
+        }),
+      "Images Reordered"
+    );
+
+  const handleRemoveImage = (i) =>
+    imageRequest(
+      () => axios.delete(`/api/v1/product/delete-image/${id}/${images[i]}`),
+      "Image Removed"
+    );
+
   //delete a product
   const handleDelete = async () => {
     try {
@@ -130,26 +213,30 @@ const UpdateProduct = () => {
               </Select>
               <div className="mb-3">
                 <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
+                  Upload Images
                   <input
                     type="file"
-                    name="photo"
+                    name="images"
                     accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
+                    multiple
+                    onChange={(e) => {
+                      handleAddImages(e.target.files);
+                      e.target.value = "";
+                    }}
                     hidden
                   />
                 </label>
               </div>
               <div className="mb-3">
-                {photo ? (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
+                {images.length ? (
+                  <ImageListForm
+                    images={images.map((image) => ({
+                      key: image,
+                      src: `/api/v1/product/product-image/${image}?size=thumbnail`,
+                    }))}
+                    onMove={handleMoveImage}
+                    onRemove={handleRemoveImage}
+                  />
                 ) : (
                   <div className="text-center">
                     <img
@@ -186,6 +273,7 @@ const UpdateProduct = () => {
                   value={price}
                   placeholder="write a Price"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setPrice(e.target.value)}
                 />
               </div>
@@ -195,9 +283,17 @@ const UpdateProduct = () => {
                   value={quantity}
                   placeholder="write a quantity"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
+              <VariantForm
+                options={options}
+                setOptions={setOptions}
+                variants={variants}
+                setVariants={setVariants}
+                images={images}
+              />
               <div className="mb-3">
                 <Select
                   bordered={false}
@@ -208,10 +304,10 @@ const UpdateProduct = () => {
                   onChange={(value) => {
                     setShipping(value);
                   }}
-                  value={shipping ? "yes" : "No"}
+                  value={shipping}
                 >
-                  <Option value="0">No</Option>
-                  <Option value="1">Yes</Option>
+                  <Option value="false">No</Option>
+                  <Option value="true">Yes</Option>
                 </Select>
               </div>
               <div className="mb-3">
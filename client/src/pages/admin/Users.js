@@ -1,20 +1,239 @@
-import React from 'react'
-import Layout from '../../components/Layout';
-import AdminMenu from '../../components/AdminMenu';
+import React, { useState, useEffect } from "react";
+import Layout from "../../components/Layout";
+import AdminMenu from "../../components/AdminMenu";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { Modal, Pagination } from "antd";
 
 const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [perPage, setPerPage] = useState(10);
+  const [search, setSearch] = useState("");
+  const [keyword, setKeyword] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [orders, setOrders] = useState([]);
+
+  //get users
+  const getUsers = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/all-users", {
+        params: { page, search: keyword },
+      });
+      if (data?.success) {
+        setUsers(data.data.users);
+        setTotal(data.data.total);
+        setPerPage(data.data.perPage);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting users");
+    }
+  };
+
+  useEffect(() => {
+    getUsers();
+    //eslint-disable-next-line
+  }, [page, keyword]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setKeyword(search);
+  };
+
+  //view user
+  const handleView = async (id) => {
+    try {
+      const { data } = await axios.get(`/api/v1/auth/user/${id}`);
+      if (data?.success) {
+        setSelected(data.data.user);
+        setOrders(data.data.orders);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting user");
+    }
+  };
+
+  //promote or demote
+  const handleRole = async (u) => {
+    try {
+      const { data } = await axios.put(`/api/v1/auth/user-role/${u._id}`, {
+        role: u.role === 1 ? 0 : 1,
+      });
+      if (data?.success) {
+        toast.success(data.data.message);
+        getUsers();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+
+  //disable or enable
+  const handleStatus = async (u) => {
+    try {
+      const { data } = await axios.put(`/api/v1/auth/user-status/${u._id}`, {
+        disabled: !u.disabled,
+      });
+      if (data?.success) {
+        toast.success(data.data.message);
+        getUsers();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+
+  //clear failed logins
+  const handleUnlock = async (u) => {
+    try {
+      const { data } = await axios.put(`/api/v1/auth/unlock-user/${u._id}`);
+      if (data?.success) {
+        toast.success(data.data.message);
+        getUsers();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
+
   return (
     <Layout title={"Dashboard - All Users"}>
-        <div className="container-fluid m-3 p-3">
-       <div className="row">
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
           <div className="col-md-3">
             <AdminMenu />
-           </div>
-           <div className="col-md-9">
-             <h1>All Users</h1>
-            </div>
+          </div>
+          <div className="col-md-9">
+            <h1>All Users</h1>
+            <form className="d-flex w-50 mb-3" onSubmit={handleSearch}>
+              <input
+                className="form-control me-2"
+                type="search"
+                placeholder="Search by name or email"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <button className="btn btn-outline-success" type="submit">
+                Search
+              </button>
+            </form>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th scope="col">Name</th>
+                  <th scope="col">Email</th>
+                  <th scope="col">Phone</th>
+                  <th scope="col">Role</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users?.map((u) => (
+                  <tr key={u._id}>
+                    <td>{u.name}</td>
+                    <td>{u.email}</td>
+                    <td>{u.phone}</td>
+                    <td>{u.role === 1 ? "Admin" : "User"}</td>
+                    <td>
+                      {u.disabled ? "Disabled" : "Active"}
+                      {u.lockedUntil &&
+                        ` (locked until ${moment(u.lockedUntil).format("LT")})`}
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-info ms-2"
+                        onClick={() => handleView(u._id)}
+                      >
+                        View
+                      </button>
+                      <button
+                        className="btn btn-primary ms-2"
+                        onClick={() => handleRole(u)}
+                      >
+                        {u.role === 1 ? "Demote" : "Promote"}
+                      </button>
+                      <button
+                        className={`btn ms-2 ${
+                          u.disabled ? "btn-success" : "btn-danger"
+                        }`}
+                        onClick={() => handleStatus(u)}
+                      >
+                        {u.disabled ? "Enable" : "Disable"}
+                      </button>
+                      {u.lockedUntil && (
+                        <button
+                          className="btn btn-warning ms-2"
+                          onClick={() => handleUnlock(u)}
+                        >
+                          Unlock
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {users?.length < 1 && <p className="text-center">No Users Found</p>}
+            <Pagination
+              current={page}
+              pageSize={perPage}
+              total={total}
+              onChange={(value) => setPage(value)}
+              showSizeChanger={false}
+            />
+            <Modal
+              onCancel={() => setSelected(null)}
+              footer={null}
+              open={!!selected}
+              title={selected?.name}
+            >
+              <p>Email : {selected?.email}</p>
+              <p>Phone : {selected?.phone}</p>
+              <p>Address : {selected?.address}</p>
+              <p>Joined : {moment(selected?.createdAt).format("LL")}</p>
+              <h5>Orders ({orders?.length})</h5>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Date</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Items</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orders?.map((o) => (
+                    <tr key={o._id}>
+                      <td>{moment(o.createdAt).format("LL")}</td>
+                      <td>{o.status}</td>
+                      <td>
+                        {o.products?.reduce(
+                          (count, l) => count + l.quantity,
+                          0
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Modal>
+          </div>
         </div>
-        </div> 
+      </div>
     </Layout>
   );
 };
@@ -4,6 +4,16 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
+import OrderTimeline from "../../components/OrderTimeline";
+import { Carriers } from "../../components/Carriers";
+import toast from "react-hot-toast";
+import { variantLabel } from "../../components/VariantPicker";
+
+const CANCELLABLE_STATUSES = ["Not Process", "Processing"];
+
+// link to the carrier's tracking page, or null for an unknown carrier
+const trackingUrl = ({ carrier, trackingNumber }) =>
+  Carriers.find((c) => c.name === carrier)?.trackingUrl(trackingNumber);
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
@@ -11,7 +21,7 @@ const Orders = () => {
   const getOrders = async () => {
     try {
       const { data } = await axios.get("/api/v1/auth/orders");
-      setOrders(data);
+      setOrders(data.data.orders);
     } catch (error) {
       console.log(error);
     }
@@ -20,6 +30,26 @@ const Orders = () => {
   useEffect(() => {
     if (auth?.token) getOrders();
   }, [auth?.token]);
+
+  //cancel order
+  const handleCancel = async (orderId) => {
+    const reason = window.prompt("Why do you want to cancel this order?");
+    if (!reason?.trim()) return;
+    try {
+      const { data } = await axios.put(`/api/v1/auth/cancel-order/${orderId}`, {
+        reason,
+      });
+      if (data?.success) {
+        toast.success(data.data.message);
+        getOrders();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
+    }
+  };
   return (
     <Layout title={"Your Orders"}>
       <div className="container-flui p-3 m-3 dashboard">
@@ -41,6 +71,7 @@ const Orders = () => {
                         <th scope="col"> date</th>
                         <th scope="col">Payment</th>
                         <th scope="col">Quantity</th>
+                        <th scope="col">Total</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -50,26 +81,107 @@ const Orders = () => {
                         <td>{o?.buyer?.name}</td>
                         <td>{moment(o?.createAt).fromNow()}</td>
                         <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                        <td>{o?.products?.length}</td>
+                        <td>
+                          {o?.products?.reduce(
+                            (count, l) => count + l.quantity,
+                            0
+                          )}
+                        </td>
+                        <td>
+                          {o?.products
+                            ?.reduce(
+                              (sum, l) => sum + l.unitPrice * l.quantity,
+                              -(o?.discount?.amount || 0)
+                            )
+                            .toLocaleString("en-US", {
+                              style: "currency",
+                              currency: "USD",
+                            })}
+                        </td>
                       </tr>
                     </tbody>
                   </table>
+                  {CANCELLABLE_STATUSES.includes(o?.status) && (
+                    <button
+                      className="btn btn-outline-danger btn-sm ms-2 mb-2"
+                      onClick={() => handleCancel(o._id)}
+                    >
+                      Cancel Order
+                    </button>
+                  )}
+                  <OrderTimeline history={o?.statusHistory} />
+                  {o?.shipment?.trackingNumber && (
+                    <div className="px-2">
+                      <p>
+                        Shipped with {o.shipment.carrier} on{" "}
+                        {moment(o.shipment.shippedAt).format("LL")} :{" "}
+                        {trackingUrl(o.shipment) ? (
+                          <a
+                            href={trackingUrl(o.shipment)}
+                            target="_blank"
+                            rel="noreferrer"
+                          >
+                            {o.shipment.trackingNumber}
+                          </a>
+                        ) : (
+                          o.shipment.trackingNumber
+                        )}
+                      </p>
+                      {o.shipment.estimatedDelivery && (
+                        <p>
+                          Estimated delivery :{" "}
+                          {moment(o.shipment.estimatedDelivery).format("LL")}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  {o?.status === "cancel" && o?.cancellation && (
+                    <p className="px-2">
+                      Cancelled by {o.cancellation.by?.name || "-"} :{" "}
+                      {o.cancellation.reason}
+                      {o.cancellation.refund &&
+                        ` (${
+                          o.cancellation.refund.type === "credit"
+                            ? "refund"
+                            : "payment void"
+                        } ${o.cancellation.refund.status})`}
+                    </p>
+                  )}
+                  {o?.discount?.amount > 0 && (
+                    <p className="px-2">
+                      Coupon {o.discount.code} : -{o.discount.amount}
+                    </p>
+                  )}
                   <div className="container">
-                    {o?.products?.map((p, i) => (
-                      <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                    {o?.products?.map(({ product: p, ...line }) => (
+                      <div
+                        className="row mb-2 p-3 card flex-row"
+                        key={line._id}
+                      >
                         <div className="col-md-4">
-                          <img
-                            src={`/api/v1/product/product-photo/${p._id}`}
-                            className="card-img-top"
-                            alt={p.name}
-                            width="100px"
-                            height={"100px"}
-                          />
+                          {p && (
+                            <img
+                              src={`/api/v1/product/product-photo/${p._id}`}
+                              className="card-img-top"
+                              alt={line.name || p.name}
+                              width="100px"
+                              height={"100px"}
+                            />
+                          )}
                         </div>
                         <div className="col-md-8">
-                          <p>{p.name}</p>
-                          <p>{p.description.substring(0, 30)}</p>
-                          <p>Price : {p.price}</p>
+                          <p>{line.name || p?.name || "Deleted product"}</p>
+                          {line.sku && (
+                            <p>
+                              {variantLabel(line.options)} ({line.sku})
+                            </p>
+                          )}
+                          {p?.description && (
+                            <p>{p.description.substring(0, 30)}</p>
+                          )}
+                          <p>Price : {line.unitPrice}</p>
+                          <p>Quantity : {line.quantity}</p>
+                          <p>Subtotal : {line.unitPrice * line.quantity}</p>
                         </div>
                       </div>
                     ))}
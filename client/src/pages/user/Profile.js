@@ -4,6 +4,7 @@ import Layout from "./../../components/Layout";
 import { useAuth } from "../../context/auth";
 import toast from "react-hot-toast";
 import axios from "axios";
+import { useNavigate } from "react-router-dom";
 const Profile = () => {
   //context
   const [auth, setAuth] = useAuth();
@@ -13,6 +14,7 @@ const Profile = () => {
   const [password, setPassword] = useState("");
   const [phone, setPhone] = useState("");
   const [address, setAddress] = useState("");
+  const navigate = useNavigate();
 
   //get user data
   useEffect(() => {
@@ -23,6 +25,22 @@ const Profile = () => {
     setAddress(address);
   }, [auth?.user]);
 
+  //logout of all devices
+  const handleLogoutAll = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/auth/logout-all");
+      if (data?.success) {
+        setAuth({ ...auth, user: null, token: "", refreshToken: "" });
+        localStorage.removeItem("auth");
+        toast.success(data.data.message);
+        navigate("/login");
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
   // form function
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -34,19 +52,17 @@ const Profile = () => {
         phone,
         address,
       });
-      if (data?.errro) {
-        toast.error(data?.error);
-      } else {
-        setAuth({ ...auth, user: data?.updatedUser });
-        let ls = localStorage.getItem("auth");
-        ls = JSON.parse(ls);
-        ls.user = data.updatedUser;
-        localStorage.setItem("auth", JSON.stringify(ls));
-        toast.success("Profile Updated Successfully");
-      }
+      setAuth({ ...auth, user: data.data.updatedUser });
+      let ls = localStorage.getItem("auth");
+      ls = JSON.parse(ls);
+      ls.user = data.data.updatedUser;
+      localStorage.setItem("auth", JSON.stringify(ls));
+      toast.success("Profile Updated Successfully");
     } catch (error) {
       console.log(error);
-      toast.error("Something went wrong");
+      toast.error(
+        error?.response?.data?.error?.message || "Something went wrong"
+      );
     }
   };
   return (
@@ -117,6 +133,13 @@ const Profile = () => {
                   UPDATE
                 </button>
               </form>
+              <button
+                type="button"
+                className="btn btn-outline-danger mt-3"
+                onClick={handleLogoutAll}
+              >
+                LOG OUT OF ALL DEVICES
+              </button>
             </div>
           </div>
         </div>
@@ -0,0 +1,84 @@
+import React from "react";
+import UserMenu from "../../components/UserMenu";
+import Layout from "./../../components/Layout";
+import { useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import { useWishlist } from "../../context/wishlist";
+import { useCart } from "../../context/cart";
+
+const Wishlist = () => {
+  const navigate = useNavigate();
+  const [wishlist, { toggleWishlist }] = useWishlist();
+  const [, , { addToCart }] = useCart();
+
+  //move to cart, variants are chosen on the product page
+  const handleMoveToCart = async (p) => {
+    if (p.variants?.length) return navigate(`/product/${p.slug}`);
+    addToCart(p);
+    await toggleWishlist(p);
+    toast.success("Item Moved to cart");
+  };
+
+  return (
+    <Layout title={"Your Wishlist"}>
+      <div className="container-flui p-3 m-3 dashboard">
+        <div className="row">
+          <div className="col-md-3">
+            <UserMenu />
+          </div>
+          <div className="col-md-9">
+            <h1 className="text-center">Wishlist</h1>
+            {wishlist?.length < 1 && (
+              <p className="text-center">Your Wishlist Is Empty</p>
+            )}
+            {wishlist?.map((p) => (
+              <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                <div className="col-md-4">
+                  <img
+                    src={`/api/v1/product/product-photo/${p._id}`}
+                    className="card-img-top"
+                    alt={p.name}
+                    width="100px"
+                    height={"100px"}
+                  />
+                </div>
+                <div className="col-md-4">
+                  <p>{p.name}</p>
+                  <p>{p.description.substring(0, 30)}</p>
+                  <p>Price : {p.price}</p>
+                </div>
+                <div className="col-md-4 d-flex flex-column justify-content-center">
+                  <button
+                    className="btn btn-info mb-2"
+                    onClick={() => navigate(`/product/${p.slug}`)}
+                  >
+                    More Details
+                  </button>
+                  <button
+                    className="btn btn-dark mb-2"
+                    onClick={() => handleMoveToCart(p)}
+                    disabled={p.quantity < 1}
+                  >
+                    {p.quantity < 1
+                      ? "OUT OF STOCK"
+                      : p.variants?.length
+                      ? "CHOOSE OPTIONS"
+                      : "MOVE TO CART"}
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => toggleWishlist(p)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Wishlist;
@@ -1,257 +1,381 @@
 import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
+import passwordResetModel from "../models/passwordResetModel.js";
 
-import { comparePassword, hashPassword } from "./../helpers/authHelper.js";
-import JWT from "jsonwebtoken";
+import {
+  comparePassword,
+  createToken,
+  hashPassword,
+  hashToken,
+} from "./../helpers/authHelper.js";
+import { sendMail } from "./../helpers/mailHelper.js";
+import {
+  clearAttempts,
+  lockedAccounts,
+  takeAttempt,
+} from "./../helpers/attemptHelper.js";
+import {
+  createSession,
+  revokeAllSessions,
+  revokeSession,
+  rotateSession,
+} from "./../helpers/sessionHelper.js";
+import { escapeRegex } from "./../helpers/searchHelper.js";
+import { cancelOrder, changeOrderStatus } from "./../helpers/orderHelper.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+  asyncHandler,
+  sendData,
+} from "./../helpers/errorHelper.js";
 
-export const registerController = async (req, res) => {
-  try {
-    const { name, email, password, phone, address, answer } = req.body;
-    //validations
-    if (!name) {
-      return res.send({ error: "Name is Required" });
-    }
-    if (!email) {
-      return res.send({ message: "Email is Required" });
-    }
-    if (!password) {
-      return res.send({ message: "Password is Required" });
-    }
-    if (!phone) {
-      return res.send({ message: "Phone no is Required" });
-    }
-    if (!address) {
-      return res.send({ message: "Address is Required" });
-    }
-    if (!answer) {
-      return res.send({ message: "Answer is Required" });
-    }
-    //check user
-    const exisitingUser = await userModel.findOne({ email });
-    //exisiting user
-    if (exisitingUser) {
-      return res.status(200).send({
-        success: false,
-        message: "Already Register please login",
-      });
-    }
-    //register user
-    const hashedPassword = await hashPassword(password);
-    //save
-    const user = await new userModel({
-      name,
-      email,
-      phone,
-      address,
-      password: hashedPassword,
-      answer,
-    }).save();
-
-    res.status(201).send({
-      success: true,
-      message: "User Register Successfully",
-      user,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Errro in Registeration",
-      error,
-    });
+// count an attempt, or stop a caller that has to wait before trying again
+const checkWait = async (scope, who) => {
+  const wait = await takeAttempt(scope, who);
+  if (wait) {
+    throw new TooManyRequestsError(
+      `Too many attempts, please try again in ${wait} seconds`,
+      wait
+    );
   }
 };
 
+// the user fields the client keeps
+const publicUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  address: user.address,
+  role: user.role,
+});
+
+export const registerController = asyncHandler(async (req, res) => {
+  const { name, email, password, phone, address } = req.body;
+  //check user
+  const exisitingUser = await userModel.findOne({ email });
+  //exisiting user
+  if (exisitingUser) {
+    throw new ConflictError("Already Register please login");
+  }
+  //register user
+  const hashedPassword = await hashPassword(password);
+  //save
+  const user = await new userModel({
+    name,
+    email,
+    phone,
+    address,
+    password: hashedPassword,
+  }).save();
+
+  sendData(
+    res,
+    { message: "User Register Successfully", user: publicUser(user) },
+    201
+  );
+});
+
 //POST LOGIN
-export const loginController = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    //validation
-    if (!email || !password) {
-      return res.status(404).send({
-        success: false,
-        message: "Invalid email or password",
-      });
-    }
-    //check user
-    const user = await userModel.findOne({ email });
-    if (!user) {
-      return res.status(404).send({
-        success: false,
-        message: "Email is not registerd",
-      });
-    }
-    const match = await comparePassword(password, user.password);
-    if (!match) {
-      return res.status(200).send({
-        success: false,
-        message: "Invalid Password",
-      });
-    }
-    //token
-    const token = await JWT.sign({ _id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
-    res.status(200).send({
-      success: true,
-      message: "login successfully",
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        address: user.address,
-        role: user.role,
-      },
-      token,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Error in login",
-      error,
-    });
+export const loginController = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const who = { account: email, ip: req.ip };
+  // the attempt is counted now and given back only if the login succeeds
+  await checkWait("login", who);
+  //check user
+  const user = await userModel.findOne({ email });
+  if (!user) {
+    throw new NotFoundError("Email is not registerd");
   }
-};
+  const match = await comparePassword(password, user.password);
+  if (!match) {
+    throw new UnauthorizedError("Invalid Password");
+  }
+  // only told to someone who knows the password
+  if (user.disabled) {
+    throw new ForbiddenError("Account is disabled, please contact support");
+  }
+  await clearAttempts("login", who);
+  //token
+  const { token, refreshToken } = await createSession(
+    user._id,
+    req.headers["user-agent"]
+  );
+  sendData(res, {
+    message: "login successfully",
+    user: publicUser(user),
+    token,
+    refreshToken,
+  });
+});
+
+//refresh access token
+export const refreshTokenController = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  const {
+    token,
+    refreshToken: nextToken,
+    user,
+  } = await rotateSession(refreshToken);
+  const account = await userModel.findById(user).select("disabled");
+  if (!account || account.disabled) {
+    await revokeSession(nextToken);
+    throw new ForbiddenError("Account is disabled, please contact support");
+  }
+  sendData(res, { token, refreshToken: nextToken });
+});
+
+//logout this device
+export const logoutController = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (refreshToken) await revokeSession(refreshToken);
+  sendData(res, { message: "Logout Successfully" });
+});
+
+//logout every device
+export const logoutAllController = asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.user._id);
+  sendData(res, { message: "Logged out of all devices" });
+});
+
+// reset links stay valid for this long
+const RESET_TOKEN_TTL_MINUTES = 30;
+// at most this many reset mails per account each hour
+const RESET_REQUESTS_PER_HOUR = 3;
 
 //forgotPasswordController
 
-export const forgotPasswordController = async (req, res) => {
-  try {
-    const { email, answer, newPassword } = req.body;
-    if (!email) {
-      res.status(400).send({ message: "Emai is required" });
-    }
-    if (!answer) {
-      res.status(400).send({ message: "answer is required" });
-    }
-    if (!newPassword) {
-      res.status(400).send({ message: "New Password is required" });
-    }
-    //check
-    const user = await userModel.findOne({ email, answer });
-    //validation
-    if (!user) {
-      return res.status(404).send({
-        success: false,
-        message: "Wrong Email Or Answer",
-      });
-    }
-    const hashed = await hashPassword(newPassword);
-    await userModel.findByIdAndUpdate(user._id, { password: hashed });
-    res.status(200).send({
-      success: true,
-      message: "Password Reset Successfully",
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Something went wrong",
-      error,
-    });
+export const forgotPasswordController = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  // every reset request counts towards the limit, not only bad ones
+  const who = { account: email, ip: req.ip };
+  await checkWait("password-reset", who);
+  const user = await userModel.findOne({ email });
+  // same answer whether or not the email is registered
+  const reply = {
+    message: "If that email is registered, a reset link has been sent",
+  };
+  if (!user || user.disabled) {
+    return sendData(res, reply);
   }
-};
+  const recent = await passwordResetModel.countDocuments({
+    user: user._id,
+    createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) },
+  });
+  if (recent >= RESET_REQUESTS_PER_HOUR) {
+    return sendData(res, reply);
+  }
+  //only the newest link works
+  await passwordResetModel.updateMany(
+    { user: user._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  const { token, tokenHash } = createToken();
+  await new passwordResetModel({
+    user: user._id,
+    tokenHash,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+  }).save();
+  const link = `${
+    process.env.CLIENT_URL || "http://localhost:3000"
+  }/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hello ${user.name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for this you can ignore this mail.`,
+  });
+  sendData(res, reply);
+});
+
+//resetPasswordController
+
+export const resetPasswordController = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+  //use up the token so it cannot be used again
+  const reset = await passwordResetModel.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+  if (!reset) {
+    throw new BadRequestError("Reset link is invalid or has expired");
+  }
+  const hashed = await hashPassword(newPassword);
+  await userModel.findByIdAndUpdate(reset.user, { password: hashed });
+  //sign out everywhere the old password was used
+  await revokeAllSessions(reset.user);
+  sendData(res, { message: "Password Reset Successfully" });
+});
 
 //test controller
 export const testController = (req, res) => {
-  try {
-    res.send("Protected Routes");
-  } catch (error) {
-    console.log(error);
-    res.send({ error });
-  }
+  sendData(res, { message: "Protected Routes" });
 };
 
 //update prfole
-export const updateProfileController = async (req, res) => {
-  try {
-    const { name, email, password, address, phone } = req.body;
-    const user = await userModel.findById(req.user._id);
-    //password
-    if (password && password.length < 6) {
-      return res.json({ error: "Passsword is required and 6 character long" });
-    }
-    const hashedPassword = password ? await hashPassword(password) : undefined;
-    const updatedUser = await userModel.findByIdAndUpdate(
-      req.user._id,
-      {
-        name: name || user.name,
-        password: hashedPassword || user.password,
-        phone: phone || user.phone,
-        address: address || user.address,
-      },
-      { new: true }
-    );
-    res.status(200).send({
-      success: true,
-      message: "Profile Updated SUccessfully",
-      updatedUser,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      success: false,
-      message: "Error WHile Update profile",
-      error,
-    });
-  }
-};
+export const updateProfileController = asyncHandler(async (req, res) => {
+  const { name, password, address, phone } = req.body;
+  const user = await userModel.findById(req.user._id);
+  const hashedPassword = password ? await hashPassword(password) : undefined;
+  const updatedUser = await userModel.findByIdAndUpdate(
+    req.user._id,
+    {
+      name: name || user.name,
+      password: hashedPassword || user.password,
+      phone: phone || user.phone,
+      address: address || user.address,
+    },
+    { new: true }
+  );
+  sendData(res, {
+    message: "Profile Updated SUccessfully",
+    updatedUser: publicUser(updatedUser),
+  });
+});
 
 //orders
-export const getOrdersController = async (req, res) => {
-  try {
-    const orders = await orderModel
-      .find({ buyer: req.user._id })
-      .populate("products", "-photo")
-      .populate("buyer", "name");
-    res.json(orders);
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Error WHile Geting Orders",
-      error,
-    });
-  }
-};
+export const getOrdersController = asyncHandler(async (req, res) => {
+  const orders = await orderModel
+    .find({ buyer: req.user._id })
+    .populate("products.product", "-photo")
+    .populate("buyer", "name")
+    .populate("cancellation.by", "name")
+    .populate("statusHistory.by", "name");
+  sendData(res, { orders });
+});
 //orders
-export const getAllOrdersController = async (req, res) => {
-  try {
-    const orders = await orderModel
-      .find({})
-      .populate("products", "-photo")
-      .populate("buyer", "name")
-      .sort({ createdAt: "-1" });
-    res.json(orders);
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Error WHile Geting Orders",
-      error,
-    });
-  }
-};
+export const getAllOrdersController = asyncHandler(async (req, res) => {
+  const orders = await orderModel
+    .find({})
+    .populate("products.product", "-photo")
+    .populate("buyer", "name")
+    .populate("cancellation.by", "name")
+    .populate("statusHistory.by", "name")
+    .sort({ createdAt: "-1" });
+  sendData(res, { orders });
+});
 
 //order status
-export const orderStatusController = async (req, res) => {
-  try {
-    const { orderId } = req.params;
-    const { status } = req.body;
-    const orders = await orderModel.findByIdAndUpdate(
-      orderId,
-      { status },
-      { new: true }
-    );
-    res.json(orders);
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Error While Updateing Order",
-      error,
-    });
+export const orderStatusController = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { status, reason, shipment } = req.body;
+  const order = await changeOrderStatus(orderId, status, {
+    by: req.user._id,
+    reason: reason || "Cancelled by admin",
+    shipment,
+  });
+  sendData(res, { message: "Order Updated", order });
+});
+
+//all users
+export const getAllUsersController = asyncHandler(async (req, res) => {
+  const perPage = 10;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const search = (req.query.search || "").trim();
+  const filter = search
+    ? {
+        $or: [
+          { name: { $regex: escapeRegex(search), $options: "i" } },
+          { email: { $regex: escapeRegex(search), $options: "i" } },
+        ],
+      }
+    : {};
+  const [users, total] = await Promise.all([
+    userModel
+      .find(filter)
+      .select("-password -answer")
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .sort({ createdAt: -1 }),
+    userModel.countDocuments(filter),
+  ]);
+  const locked = await lockedAccounts("login");
+  sendData(res, {
+    users: users.map((user) => ({
+      ...user.toObject(),
+      lockedUntil: locked[user.email.toLowerCase()],
+    })),
+    total,
+    page,
+    perPage,
+  });
+});
+
+//single user with orders
+export const getUserController = asyncHandler(async (req, res) => {
+  const user = await userModel
+    .findById(req.params.id)
+    .select("-password -answer");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  const orders = await orderModel
+    .find({ buyer: user._id })
+    .populate("products.product", "-photo")
+    .sort({ createdAt: -1 });
+  sendData(res, { user, orders });
+});
+
+//promote or demote
+export const updateUserRoleController = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+  if (String(req.user._id) === String(id)) {
+    throw new BadRequestError("You cannot change your own role");
+  }
+  const user = await userModel
+    .findByIdAndUpdate(id, { role }, { new: true })
+    .select("-password -answer");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  sendData(res, { message: "User Role Updated", user });
+});
+
+//disable or enable
+export const updateUserStatusController = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { disabled } = req.body;
+  if (String(req.user._id) === String(id)) {
+    throw new BadRequestError("You cannot disable your own account");
+  }
+  const user = await userModel
+    .findByIdAndUpdate(id, { disabled }, { new: true })
+    .select("-password -answer");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  sendData(res, {
+    message: disabled ? "User Disabled" : "User Enabled",
+    user,
+  });
+});
+
+//buyer cancels own order
+export const cancelOrderController = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const reason = req.body.reason.trim();
+  const order = await cancelOrder(
+    { _id: orderId, buyer: req.user._id },
+    { by: req.user._id, reason }
+  );
+  sendData(res, { message: "Order Cancelled", order });
+});
+
+//unlock an account locked by failed logins
+export const unlockUserController = asyncHandler(async (req, res) => {
+  const user = await userModel.findById(req.params.id).select("email");
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
-};
\ No newline at end of file
+  await clearAttempts("login", { account: user.email });
+  await clearAttempts("password-reset", { account: user.email });
+  sendData(res, { message: "User Unlocked" });
+});
\ No newline at end of file
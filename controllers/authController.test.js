@@ -0,0 +1,537 @@
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+import userModel from "../models/userModel.js";
+import sessionModel from "../models/sessionModel.js";
+import { comparePassword } from "../helpers/authHelper.js";
+import { createSession } from "../helpers/sessionHelper.js";
+import {
+  createMemoryStore,
+  setAttemptStore,
+} from "../helpers/attemptHelper.js";
+import { reverseTransaction } from "../helpers/paymentHelper.js";
+import { releaseCoupon } from "../helpers/couponHelper.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  PaymentError,
+  TooManyRequestsError,
+  UnauthorizedError,
+  ValidationError,
+} from "../helpers/errorHelper.js";
+import { requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  cancelOrderController,
+  loginController,
+  logoutAllController,
+  orderStatusController,
+  refreshTokenController,
+} from "./authController.js";
+
+jest.mock("../models/orderModel.js", () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    exists: jest.fn(),
+  },
+}));
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: { updateOne: jest.fn() },
+}));
+jest.mock("../models/userModel.js", () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(), findById: jest.fn() },
+}));
+jest.mock("../models/sessionModel.js", () => ({
+  __esModule: true,
+  default: Object.assign(jest.fn(), {
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    updateMany: jest.fn(),
+    exists: jest.fn(),
+  }),
+}));
+jest.mock("../helpers/authHelper.js", () => ({
+  ...jest.requireActual("../helpers/authHelper.js"),
+  comparePassword: jest.fn(),
+}));
+// only login is given a fake session, refresh and sign in use the real ones
+jest.mock("../helpers/sessionHelper.js", () => ({
+  ...jest.requireActual("../helpers/sessionHelper.js"),
+  createSession: jest.fn(),
+}));
+jest.mock("../helpers/paymentHelper.js", () => ({
+  reverseTransaction: jest.fn(),
+}));
+jest.mock("../helpers/couponHelper.js", () => ({
+  releaseCoupon: jest.fn(),
+}));
+
+const ADMIN = "65f0000000000000000000ad";
+const BUYER = "65f0000000000000000000aa";
+const ORDER = "65f0000000000000000000b1";
+
+// the one order in the database, the model mocks below read and write it
+// the way the queries in orderHelper.js would
+let stored;
+
+const newOrder = (status) => ({
+  _id: ORDER,
+  buyer: BUYER,
+  status,
+  products: [
+    { _id: "line1", product: "shirt", quantity: 2 },
+    { _id: "line2", product: "mug", variant: "blue", quantity: 1 },
+  ],
+  discount: { coupon: "coupon", amount: 5 },
+  payment: { transaction: { id: "sale" } },
+  statusHistory: [],
+});
+
+const copy = () => JSON.parse(JSON.stringify(stored));
+
+const mockStore = () => {
+  orderModel.findById.mockImplementation(() => ({
+    select: jest.fn().mockResolvedValue(copy()),
+  }));
+  orderModel.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    const statuses = filter.status.$in || [filter.status];
+    if (!statuses.includes(stored.status)) return null;
+    const before = copy();
+    stored.status = update.status;
+    stored.statusHistory.push(update.$push.statusHistory);
+    return update.shipment || !filter.status.$in
+      ? { ...copy(), shipment: update.shipment }
+      : before;
+  });
+  orderModel.findOne.mockImplementation(async (filter) =>
+    stored.status === filter.status &&
+    stored.cancellation?.finished === filter["cancellation.finished"]
+      ? copy()
+      : null
+  );
+  orderModel.exists.mockResolvedValue(true);
+  orderModel.findByIdAndUpdate.mockImplementation(async (id, update) => {
+    if (update.cancellation) stored.cancellation = { ...update.cancellation };
+    if (update["cancellation.finished"]) stored.cancellation.finished = true;
+    return copy();
+  });
+  orderModel.updateOne.mockImplementation(async (filter, update) => {
+    const cancellation = stored.cancellation;
+    if (update.$pop) {
+      stored.status = update.status;
+      stored.statusHistory.pop();
+    } else if (update.$push) {
+      const line = filter["cancellation.restocked"].$ne;
+      if (cancellation.restocked.includes(line)) return { modifiedCount: 0 };
+      cancellation.restocked.push(line);
+    } else if (update.$pull) {
+      const line = update.$pull["cancellation.restocked"];
+      cancellation.restocked = cancellation.restocked.filter((l) => l !== line);
+    } else {
+      const released = update["cancellation.couponReleased"];
+      if (
+        filter["cancellation.couponReleased"] &&
+        cancellation.couponReleased
+      ) {
+        return { modifiedCount: 0 };
+      }
+      cancellation.couponReleased = released;
+    }
+    return { modifiedCount: 1 };
+  });
+};
+
+const call = async (controller, req) => {
+  const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+  const next = jest.fn();
+  await controller(req, res, next);
+  return { res, next, data: res.send.mock.calls[0]?.[0]?.data };
+};
+
+const changeStatus = (status, body = {}) =>
+  call(orderStatusController, {
+    params: { orderId: ORDER },
+    body: { status, ...body },
+    user: { _id: ADMIN },
+  });
+
+const cancel = () =>
+  call(cancelOrderController, {
+    params: { orderId: ORDER },
+    body: { reason: " Changed my mind " },
+    user: { _id: BUYER },
+  });
+
+// the stock given back, as product and count
+const restocked = () =>
+  productModel.updateOne.mock.calls.map(([filter, update]) => [
+    filter._id,
+    update.$inc.quantity,
+  ]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  mockStore();
+  productModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  reverseTransaction.mockResolvedValue({
+    success: true,
+    transaction: { id: "void", type: "sale", status: "voided" },
+  });
+});
+
+describe("orderStatusController", () => {
+  it("moves an order to the next status and records who moved it", async () => {
+    stored = newOrder("Not Process");
+
+    const { next, data } = await changeStatus("Processing");
+
+    expect(next).not.toHaveBeenCalled();
+    expect(data.order.status).toBe("Processing");
+    expect(stored.statusHistory).toEqual([
+      expect.objectContaining({ status: "Processing", by: ADMIN }),
+    ]);
+  });
+
+  it("refuses a move the transitions do not allow", async () => {
+    stored = newOrder("Not Process");
+
+    const { next } = await changeStatus("deliverd");
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(BadRequestError);
+    expect(next.mock.calls[0][0].message).toBe(
+      "Order cannot move from Not Process to deliverd"
+    );
+    expect(stored.status).toBe("Not Process");
+  });
+
+  it("refuses to move a delivered order back", async () => {
+    stored = newOrder("deliverd");
+
+    const { next } = await changeStatus("Shipped");
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(BadRequestError);
+  });
+
+  it("refuses a status that does not exist", async () => {
+    stored = newOrder("Not Process");
+
+    const { next } = await changeStatus("Lost");
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+  });
+
+  it("needs a carrier and tracking number to ship", async () => {
+    stored = newOrder("Processing");
+
+    const { next } = await changeStatus("Shipped", {
+      shipment: { carrier: "Pigeon", trackingNumber: "1Z" },
+    });
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+    expect(stored.status).toBe("Processing");
+  });
+
+  it("ships with the shipment details", async () => {
+    stored = newOrder("Processing");
+
+    const { data } = await changeStatus("Shipped", {
+      shipment: { carrier: "UPS", trackingNumber: " 1Z999 " },
+    });
+
+    expect(data.order.status).toBe("Shipped");
+    expect(data.order.shipment).toEqual(
+      expect.objectContaining({ carrier: "UPS", trackingNumber: "1Z999" })
+    );
+  });
+
+  it("refuses when another admin moved the order first", async () => {
+    stored = newOrder("Not Process");
+    orderModel.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    const { next } = await changeStatus("Processing");
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ConflictError);
+  });
+});
+
+describe("cancelOrderController", () => {
+  it("refunds, restocks every line and gives the coupon use back", async () => {
+    stored = newOrder("Processing");
+
+    const { data } = await cancel();
+
+    expect(reverseTransaction).toHaveBeenCalledWith("sale");
+    expect(restocked()).toEqual([
+      ["shirt", 2],
+      ["mug", 1],
+    ]);
+    expect(releaseCoupon).toHaveBeenCalledWith({ _id: "coupon" }, BUYER);
+    expect(data.order.status).toBe("cancel");
+    expect(data.order.cancellation).toEqual(
+      expect.objectContaining({
+        reason: "Changed my mind",
+        restocked: ["line1", "line2"],
+        couponReleased: true,
+        finished: true,
+      })
+    );
+  });
+
+  it("keeps the order when the refund fails", async () => {
+    stored = newOrder("Not Process");
+    reverseTransaction.mockResolvedValue({ success: false, message: "No" });
+
+    const { next } = await cancel();
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(PaymentError);
+    expect(stored.status).toBe("Not Process");
+    expect(stored.statusHistory).toEqual([]);
+    expect(productModel.updateOne).not.toHaveBeenCalled();
+    expect(releaseCoupon).not.toHaveBeenCalled();
+  });
+
+  it("refuses an order that has shipped", async () => {
+    stored = newOrder("Shipped");
+
+    const { next } = await cancel();
+
+    expect(next.mock.calls[0][0].message).toBe(
+      "Order can no longer be cancelled"
+    );
+    expect(reverseTransaction).not.toHaveBeenCalled();
+  });
+
+  it("finishes a cancel that failed after the refund when run again", async () => {
+    stored = newOrder("Processing");
+    productModel.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockRejectedValueOnce(new Error("Write failed"));
+
+    const first = await cancel();
+
+    // refunded and cancelled, the mug and coupon are still owed
+    expect(first.next).not.toHaveBeenCalled();
+    expect(stored.status).toBe("cancel");
+    expect(stored.cancellation).toEqual(
+      expect.objectContaining({ restocked: ["line1"], finished: false })
+    );
+    expect(releaseCoupon).not.toHaveBeenCalled();
+
+    productModel.updateOne.mockClear();
+    const second = await cancel();
+
+    expect(reverseTransaction).toHaveBeenCalledTimes(1);
+    expect(restocked()).toEqual([["mug", 1]]);
+    expect(releaseCoupon).toHaveBeenCalledTimes(1);
+    expect(second.data.order.cancellation).toEqual(
+      expect.objectContaining({
+        restocked: ["line1", "line2"],
+        couponReleased: true,
+        finished: true,
+      })
+    );
+  });
+
+  it("does not give anything back twice for a finished cancel", async () => {
+    stored = newOrder("Processing");
+    await cancel();
+    jest.clearAllMocks();
+    mockStore();
+
+    const { next } = await cancel();
+
+    expect(next.mock.calls[0][0].message).toBe(
+      "Order can no longer be cancelled"
+    );
+    expect(productModel.updateOne).not.toHaveBeenCalled();
+    expect(releaseCoupon).not.toHaveBeenCalled();
+  });
+});
+
+describe("loginController", () => {
+  const EMAIL = "buyer@example.com";
+  const login = (password) =>
+    call(loginController, {
+      body: { email: EMAIL, password },
+      ip: "10.0.0.1",
+      headers: {},
+    });
+
+  beforeEach(() => {
+    setAttemptStore(createMemoryStore());
+    userModel.findOne.mockResolvedValue({
+      _id: BUYER,
+      email: EMAIL,
+      password: "hash",
+    });
+    // the password is only right for "secret", and takes a moment to check
+    comparePassword.mockImplementation(
+      (password) =>
+        new Promise((resolve) =>
+          setTimeout(() => resolve(password === "secret"))
+        )
+    );
+    createSession.mockResolvedValue({ token: "t", refreshToken: "r" });
+  });
+
+  it("lets only the allowed attempts of a parallel burst check a password", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => login("guess"))
+    );
+
+    // the third failure makes the next attempt wait
+    expect(comparePassword).toHaveBeenCalledTimes(3);
+    const errors = results.map(({ next }) => next.mock.calls[0][0]);
+    expect(errors.filter((e) => e instanceof UnauthorizedError)).toHaveLength(
+      3
+    );
+    expect(
+      errors.filter((e) => e instanceof TooManyRequestsError)
+    ).toHaveLength(5);
+  });
+
+  it("starts the account over after a good login", async () => {
+    await login("guess");
+    await login("guess");
+    const { data } = await login("secret");
+
+    expect(data.token).toBe("t");
+    await login("guess");
+    await login("guess");
+    const { next } = await login("guess");
+    expect(next.mock.calls[0][0]).toBeInstanceOf(UnauthorizedError);
+  });
+
+  it("only says the account is disabled to someone with the password", async () => {
+    userModel.findOne.mockResolvedValue({
+      _id: BUYER,
+      email: EMAIL,
+      password: "hash",
+      disabled: true,
+    });
+
+    const wrong = await login("guess");
+    const right = await login("secret");
+
+    expect(wrong.next.mock.calls[0][0]).toBeInstanceOf(UnauthorizedError);
+    expect(right.next.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+    expect(createSession).not.toHaveBeenCalled();
+  });
+});
+
+describe("refresh tokens", () => {
+  const { createSession: startSession } = jest.requireActual(
+    "../helpers/sessionHelper.js"
+  );
+
+  // the sessions in the database, the model mocks below query them the way
+  // mongodb would for the filters sessionHelper.js uses
+  let sessions;
+  const matches = (session, filter) =>
+    Object.entries(filter).every(([field, value]) =>
+      value?.$gt
+        ? session[field] > value.$gt
+        : (session[field] ?? null) === value
+    );
+
+  const refresh = (refreshToken) =>
+    call(refreshTokenController, { body: { refreshToken } });
+
+  const signIn = async (token) => {
+    const req = { headers: { authorization: token } };
+    const { next } = await call(requireSignIn, req);
+    return { req, error: next.mock.calls[0][0] };
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+
+  beforeEach(() => {
+    sessions = [];
+    sessionModel.mockImplementation((doc) => ({
+      save: async () => {
+        const session = { _id: `session${sessions.length + 1}`, ...doc };
+        sessions.push(session);
+        return session;
+      },
+    }));
+    sessionModel.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      const session = sessions.find((s) => matches(s, filter));
+      return session ? Object.assign(session, update) : null;
+    });
+    sessionModel.updateOne.mockImplementation(async (filter, update) => {
+      const session = sessions.find((s) => matches(s, filter));
+      if (session) Object.assign(session, update);
+    });
+    sessionModel.updateMany.mockImplementation(async (filter, update) => {
+      sessions
+        .filter((s) => matches(s, filter))
+        .forEach((s) => Object.assign(s, update));
+    });
+    sessionModel.exists.mockImplementation(async (filter) =>
+      sessions.some((s) => matches(s, filter))
+    );
+    userModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: BUYER }),
+    });
+  });
+
+  it("swaps a refresh token for a new pair that signs in", async () => {
+    const first = await startSession(BUYER, "jest");
+
+    const { data } = await refresh(first.refreshToken);
+
+    expect(data.refreshToken).not.toBe(first.refreshToken);
+    const { req, error } = await signIn(data.token);
+    expect(error).toBeUndefined();
+    expect(req.user._id).toBe(BUYER);
+  });
+
+  it("revokes the whole session when a used refresh token comes back", async () => {
+    const first = await startSession(BUYER, "jest");
+    const { data: second } = await refresh(first.refreshToken);
+
+    // someone replays the token the real owner already swapped
+    const replay = await refresh(first.refreshToken);
+
+    expect(replay.next.mock.calls[0][0]).toBeInstanceOf(UnauthorizedError);
+    const owner = await refresh(second.refreshToken);
+    expect(owner.next.mock.calls[0][0]).toBeInstanceOf(UnauthorizedError);
+    const { error } = await signIn(second.token);
+    expect(error).toBeInstanceOf(UnauthorizedError);
+    expect(error.status).toBe(401);
+  });
+
+  it("signs every device out", async () => {
+    const phone = await startSession(BUYER, "phone");
+    const laptop = await startSession(BUYER, "laptop");
+
+    await call(logoutAllController, { user: { _id: BUYER } });
+
+    for (const device of [phone, laptop]) {
+      const { next } = await refresh(device.refreshToken);
+      expect(next.mock.calls[0][0]).toBeInstanceOf(UnauthorizedError);
+      expect((await signIn(device.token)).error.status).toBe(401);
+    }
+  });
+
+  it("ends the new session of a disabled account", async () => {
+    const first = await startSession(BUYER, "jest");
+    userModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: BUYER, disabled: true }),
+    });
+
+    const { next } = await refresh(first.refreshToken);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+    expect(sessions[0].revokedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import cartModel from "../models/cartModel.js";
+import productModel from "../models/productModel.js";
+import { findVariant } from "../helpers/variantHelper.js";
+import {
+  NotFoundError,
+  ValidationError,
+  asyncHandler,
+  sendData,
+} from "../helpers/errorHelper.js";
+
+// load the user's cart, creating an empty one the first time
+const findCart = async (userId) => {
+  const cart = await cartModel.findOne({ user: userId });
+  if (cart) return cart;
+  return new cartModel({ user: userId, items: [] });
+};
+
+// cart lines as product objects carrying a quantity, the shape the client
+// keeps. a variant line carries the variant and is priced by it
+const cartLines = async (cart) => {
+  await cart.populate("items.product", "-photo");
+  return cart.items
+    .filter(
+      (item) =>
+        item.product &&
+        (!item.variant || findVariant(item.product, item.variant))
+    )
+    .map((item) => {
+      const product = item.product.toObject({ flattenMaps: true });
+      const variant = findVariant(product, item.variant);
+      return {
+        ...product,
+        ...(variant && { variant, price: variant.price }),
+        quantity: item.quantity,
+      };
+    });
+};
+
+// the cart item for a product and variant, variant is empty for products
+// sold without variants
+const sameLine = (item, productId, variantId) =>
+  item.product.equals(productId) &&
+  String(item.variant || "") === String(variantId || "");
+
+// check the variant chosen for a product, returns its id or undefined
+const checkVariant = (product, variantId) => {
+  if (!product.variants.length) return undefined;
+  if (!variantId) {
+    throw new ValidationError("Choose an option first", [
+      { field: "body.variantId", message: "Choose an option first" },
+    ]);
+  }
+  const variant = findVariant(product, variantId);
+  if (!variant) {
+    throw new NotFoundError("Variant not found");
+  }
+  return variant._id;
+};
+
+const isValidQuantity = (quantity) =>
+  Number.isInteger(Number(quantity)) && Number(quantity) > 0;
+
+//get cart
+export const getCartController = asyncHandler(async (req, res) => {
+  const cart = await findCart(req.user._id);
+  sendData(res, { cart: await cartLines(cart) });
+});
+
+//add item
+export const addCartItemController = asyncHandler(async (req, res) => {
+  const { productId, variantId, quantity = 1 } = req.body;
+  const product = await productModel.findById(productId).select("variants");
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  const variant = checkVariant(product, variantId);
+  const cart = await findCart(req.user._id);
+  const item = cart.items.find((i) => sameLine(i, product._id, variant));
+  if (item) {
+    item.quantity += Number(quantity);
+  } else {
+    cart.items.push({
+      product: product._id,
+      variant,
+      quantity: Number(quantity),
+    });
+  }
+  await cart.save();
+  sendData(res, {
+    message: "Item added to cart",
+    cart: await cartLines(cart),
+  });
+});
+
+//update item quantity
+export const updateCartItemController = asyncHandler(async (req, res) => {
+  const { pid, vid } = req.params;
+  const { quantity } = req.body;
+  const cart = await findCart(req.user._id);
+  const item = cart.items.find((i) => sameLine(i, pid, vid));
+  if (!item) {
+    throw new NotFoundError("Item is not in the cart");
+  }
+  item.quantity = Number(quantity);
+  await cart.save();
+  sendData(res, {
+    message: "Cart updated",
+    cart: await cartLines(cart),
+  });
+});
+
+//remove item
+export const removeCartItemController = asyncHandler(async (req, res) => {
+  const { pid, vid } = req.params;
+  const cart = await findCart(req.user._id);
+  cart.items = cart.items.filter((i) => !sameLine(i, pid, vid));
+  await cart.save();
+  sendData(res, {
+    message: "Item removed from cart",
+    cart: await cartLines(cart),
+  });
+});
+
+//clear cart
+export const clearCartController = asyncHandler(async (req, res) => {
+  await cartModel.findOneAndUpdate(
+    { user: req.user._id },
+    { items: [] },
+    { upsert: true }
+  );
+  sendData(res, {
+    message: "Cart cleared",
+    cart: [],
+  });
+});
+
+//merge the guest cart kept in the browser into the user's cart
+export const mergeCartController = asyncHandler(async (req, res) => {
+  const { cart: guestCart } = req.body;
+  const cart = await findCart(req.user._id);
+  const ids = guestCart
+    .map((i) => i?._id)
+    .filter((id) => mongoose.isValidObjectId(id));
+  const products = await productModel
+    .find({ _id: { $in: ids } })
+    .select("variants");
+  guestCart.forEach((line) => {
+    const product = products.find((p) => p._id.equals(line?._id));
+    const quantity = line?.quantity === undefined ? 1 : line.quantity;
+    if (!product || !isValidQuantity(quantity)) return;
+    // guest lines for a variant that is gone, or without one, are dropped
+    const variant = findVariant(product, line?.variant?._id)?._id;
+    if (product.variants.length && !variant) return;
+    const item = cart.items.find((i) => sameLine(i, product._id, variant));
+    if (item) {
+      item.quantity += Number(quantity);
+    } else {
+      cart.items.push({
+        product: product._id,
+        variant,
+        quantity: Number(quantity),
+      });
+    }
+  });
+  await cart.save();
+  sendData(res, {
+    message: "Cart merged",
+    cart: await cartLines(cart),
+  });
+});
+
+//any user's cart, for admins
+export const userCartController = asyncHandler(async (req, res) => {
+  const cart = await findCart(req.params.userId);
+  sendData(res, { cart: await cartLines(cart) });
+});
@@ -1,115 +1,116 @@
 import categoryModel from "../models/categoryModel.js";
+import productModel from "../models/productModel.js";
 import slugify from "slugify";
-export const createCategoryController = async (req, res) => {
-  try {
-    const { name } = req.body;
-    if (!name) {
-      return res.status(401).send({ message: "Name is required" });
-    }
-    const existingCategory = await categoryModel.findOne({ name });
-    if (existingCategory) {
-      return res.status(200).send({
-        success: true,
-        message: "Category Already Exisits",
-      });
-    }
-    const category = await new categoryModel({
-      name,
-      slug: slugify(name),
-    }).save();
-    res.status(201).send({
-      success: true,
-      message: "new category created",
-      category,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      errro,
-      message: "Errro in Category",
-    });
+import { categoryPath, checkParent } from "../helpers/categoryHelper.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  asyncHandler,
+  sendData,
+} from "../helpers/errorHelper.js";
+
+// names and slugs are unique, the indexes only back this check up
+const checkUnique = async (name, slug, id) => {
+  const filter = { $or: [{ name }, { slug }] };
+  if (id) filter._id = { $ne: id };
+  if (await categoryModel.exists(filter)) {
+    throw new ConflictError("Category Already Exisits");
   }
 };
 
+export const createCategoryController = asyncHandler(async (req, res) => {
+  const { name, parent } = req.body;
+  const slug = slugify(name, { lower: true });
+  await checkUnique(name, slug);
+  const category = await new categoryModel({
+    name,
+    slug,
+    parent: await checkParent(null, parent),
+  }).save();
+  sendData(res, { message: "new category created", category }, 201);
+});
+
 //update category
-export const updateCategoryController = async (req, res) => {
-  try {
-    const { name } = req.body;
-    const { id } = req.params;
-    const category = await categoryModel.findByIdAndUpdate(
-      id,
-      { name, slug: slugify(name) },
-      { new: true }
-    );
-    res.status(200).send({
-      success: true,
-      messsage: "Category Updated Successfully",
-      category,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      error,
-      message: "Error while updating category",
-    });
+export const updateCategoryController = asyncHandler(async (req, res) => {
+  const { name, parent } = req.body;
+  const { id } = req.params;
+  const slug = slugify(name, { lower: true });
+  await checkUnique(name, slug, id);
+  const category = await categoryModel.findByIdAndUpdate(
+    id,
+    { name, slug, parent: await checkParent(id, parent) },
+    { new: true }
+  );
+  if (!category) {
+    throw new NotFoundError("Category not found");
   }
-};
+  sendData(res, { message: "Category Updated Successfully", category });
+});
 
 // get all cat
-export const categoryControlller = async (req, res) => {
-  try {
-    const category = await categoryModel.find({});
-    res.status(200).send({
-      success: true,
-      message: "All Categories List",
-      category,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      error,
-      message: "Error while getting all categories",
-    });
-  }
-};
+export const categoryControlller = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    categoryModel.find({}),
+    productModel.aggregate([
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const productCounts = Object.fromEntries(
+    counts.map(({ _id, count }) => [String(_id), count])
+  );
+  const category = categories.map((c) => ({
+    ...c.toObject(),
+    productCount: productCounts[c._id] || 0,
+  }));
+  sendData(res, { message: "All Categories List", category });
+});
 
 // single category
-export const singleCategoryController = async (req, res) => {
-  try {
-    const category = await categoryModel.findOne({ slug: req.params.slug });
-    res.status(200).send({
-      success: true,
-      message: "Get SIngle Category SUccessfully",
-      category,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      error,
-      message: "Error While getting Single Category",
-    });
+export const singleCategoryController = asyncHandler(async (req, res) => {
+  const category = await categoryModel.findOne({ slug: req.params.slug });
+  if (!category) {
+    throw new NotFoundError("Category not found");
   }
-};
+  const path = await categoryPath(category);
+  sendData(res, {
+    message: "Get SIngle Category SUccessfully",
+    category,
+    path,
+  });
+});
 
-//delete category
-export const deleteCategoryCOntroller = async (req, res) => {
-  try {
-    const { id } = req.params;
-    await categoryModel.findByIdAndDelete(id);
-    res.status(200).send({
-      success: true,
-      message: "Categry Deleted Successfully",
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "error while deleting category",
-      error,
-    });
+//delete category, its products move to the moveTo category and its
+//subcategories up one level
+export const deleteCategoryCOntroller = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { moveTo } = req.query;
+  const category = await categoryModel.findById(id);
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+  const products = await productModel.countDocuments({ category: id });
+  if (products && !moveTo) {
+    throw new ConflictError(
+      `${category.name} has ${products} products, choose a category to move them to`,
+      { products }
+    );
+  }
+  if (moveTo) {
+    if (moveTo === id) {
+      throw new BadRequestError(
+        "Products cannot be moved to the category being deleted"
+      );
+    }
+    if (!(await categoryModel.exists({ _id: moveTo }))) {
+      throw new NotFoundError("Category to move products to not found");
+    }
+  }
+  await categoryModel.findByIdAndDelete(id);
+  // moved after the delete so products added meanwhile are moved too
+  if (moveTo) {
+    await productModel.updateMany({ category: id }, { category: moveTo });
   }
-};
\ No newline at end of file
+  await categoryModel.updateMany({ parent: id }, { parent: category.parent });
+  sendData(res, { message: "Categry Deleted Successfully" });
+});
\ No newline at end of file
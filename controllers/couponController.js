@@ -0,0 +1,95 @@
+import couponModel from "../models/couponModel.js";
+import { priceCart } from "../helpers/orderHelper.js";
+import { evaluateCoupon } from "../helpers/couponHelper.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  asyncHandler,
+  sendData,
+} from "../helpers/errorHelper.js";
+
+// pick the editable coupon fields out of a request body
+const couponFields = (body) => {
+  const fields = {};
+  ["code", "type", "value", "minCartTotal", "expiresAt"].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  ["usageLimit", "perUserLimit", "category"].forEach((key) => {
+    // an empty value clears the limit or restriction
+    if (body[key] !== undefined) fields[key] = body[key] || null;
+  });
+  if (body.active !== undefined) fields.active = !!body.active;
+  return fields;
+};
+
+// a percentage over 100 depends on the type, which an update may leave as
+// it was, so it is checked on the whole coupon
+const checkCoupon = ({ type, value }) => {
+  if (type === "percentage" && Number(value) > 100) {
+    throw new ValidationError("Percentage cannot be more than 100", [
+      { field: "body.value", message: "Percentage cannot be more than 100" },
+    ]);
+  }
+};
+
+//create coupon
+export const createCouponController = asyncHandler(async (req, res) => {
+  const fields = couponFields(req.body);
+  checkCoupon(fields);
+  const existingCoupon = await couponModel.findOne({
+    code: fields.code.trim().toUpperCase(),
+  });
+  if (existingCoupon) {
+    throw new ConflictError("Coupon Already Exists");
+  }
+  const coupon = await new couponModel(fields).save();
+  sendData(res, { message: "New coupon created", coupon }, 201);
+});
+
+//update coupon
+export const updateCouponController = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const coupon = await couponModel.findById(id);
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+  coupon.set(couponFields(req.body));
+  checkCoupon(coupon);
+  await coupon.save();
+  sendData(res, { message: "Coupon Updated Successfully", coupon });
+});
+
+//get all coupons
+export const getCouponsController = asyncHandler(async (req, res) => {
+  const coupons = await couponModel
+    .find({})
+    .select("-usedBy")
+    .populate("category", "name")
+    .sort({ createdAt: -1 });
+  sendData(res, { message: "All Coupons List", coupons });
+});
+
+//delete coupon
+export const deleteCouponController = asyncHandler(async (req, res) => {
+  await couponModel.findByIdAndDelete(req.params.id);
+  sendData(res, { message: "Coupon Deleted Successfully" });
+});
+
+//preview a coupon against the current cart
+export const applyCouponController = asyncHandler(async (req, res) => {
+  const { code, cart = [] } = req.body;
+  const { items, total } = await priceCart(cart);
+  const { coupon, discount } = await evaluateCoupon({
+    code,
+    items,
+    total,
+    userId: req.user._id,
+  });
+  sendData(res, {
+    message: "Coupon Applied",
+    code: coupon.code,
+    discount,
+    total: Math.max(total - discount, 0),
+  });
+});
@@ -0,0 +1,251 @@
+import couponModel from "../models/couponModel.js";
+import categoryModel from "../models/categoryModel.js";
+import { priceCart } from "../helpers/orderHelper.js";
+import { claimCoupon, releaseCoupon } from "../helpers/couponHelper.js";
+import { BadRequestError } from "../helpers/errorHelper.js";
+import { applyCouponController } from "./couponController.js";
+
+jest.mock("../models/couponModel.js", () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+jest.mock("../models/categoryModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+jest.mock("../helpers/orderHelper.js", () => ({
+  priceCart: jest.fn(),
+}));
+
+const BUYER = "65f0000000000000000000aa";
+const OTHER = "65f0000000000000000000ab";
+const CLOTHES = "65f0000000000000000000c1";
+const SHIRTS = "65f0000000000000000000c2";
+const KITCHEN = "65f0000000000000000000c3";
+
+const call = async (controller, req) => {
+  const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+  const next = jest.fn();
+  await controller(req, res, next);
+  return { next, data: res.send.mock.calls[0]?.[0]?.data };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("applyCouponController", () => {
+  // a 10% coupon anyone can use once
+  const coupon = (changes) => ({
+    _id: "coupon",
+    code: "SAVE10",
+    type: "percentage",
+    value: 10,
+    minCartTotal: 0,
+    usedCount: 0,
+    usedBy: new Map(),
+    active: true,
+    ...changes,
+  });
+
+  const apply = () =>
+    call(applyCouponController, {
+      body: { code: " save10 ", cart: [] },
+      user: { _id: BUYER },
+    });
+
+  beforeEach(() => {
+    // a 40 shirt and a 60 pan
+    priceCart.mockResolvedValue({
+      items: [
+        { product: "shirt", category: SHIRTS, unitPrice: 20, quantity: 2 },
+        { product: "pan", category: KITCHEN, unitPrice: 60, quantity: 1 },
+      ],
+      total: 100,
+    });
+    categoryModel.find.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue([
+          { _id: CLOTHES },
+          { _id: SHIRTS, parent: CLOTHES },
+          { _id: KITCHEN },
+        ]),
+    });
+  });
+
+  it("takes the discount off the whole cart", async () => {
+    couponModel.findOne.mockResolvedValue(coupon());
+
+    const { data } = await apply();
+
+    expect(couponModel.findOne).toHaveBeenCalledWith({ code: "SAVE10" });
+    expect(data).toEqual(
+      expect.objectContaining({ code: "SAVE10", discount: 10, total: 90 })
+    );
+  });
+
+  it("only discounts items in the coupon's category or below it", async () => {
+    couponModel.findOne.mockResolvedValue(
+      coupon({ type: "fixed", value: 50, category: CLOTHES })
+    );
+
+    const { data } = await apply();
+
+    // a fixed amount is never more than the items it covers
+    expect(data.discount).toBe(40);
+  });
+
+  it("does not count another buyer's uses against the limit", async () => {
+    couponModel.findOne.mockResolvedValue(
+      coupon({ perUserLimit: 1, usedBy: new Map([[OTHER, 1]]) })
+    );
+
+    const { data } = await apply();
+
+    expect(data.discount).toBe(10);
+  });
+
+  it.each([
+    ["an unknown code", null, "Coupon code is not valid"],
+    ["a switched off coupon", { active: false }, "Coupon code is not valid"],
+    [
+      "an expired coupon",
+      { expiresAt: new Date(Date.now() - 1000) },
+      "Coupon has expired",
+    ],
+    [
+      "a coupon used up",
+      { usageLimit: 5, usedCount: 5 },
+      "Coupon has reached its usage limit",
+    ],
+    [
+      "a coupon the buyer already used",
+      { perUserLimit: 1, usedBy: new Map([[BUYER, 1]]) },
+      "You have already used this coupon",
+    ],
+    [
+      "a cart under the minimum spend",
+      { minCartTotal: 150 },
+      "Cart total must be at least 150 to use this coupon",
+    ],
+    [
+      "a category the cart has nothing from",
+      { category: "65f0000000000000000000c9" },
+      "Coupon does not apply to any item in your cart",
+    ],
+  ])("refuses %s", async (name, changes, message) => {
+    couponModel.findOne.mockResolvedValue(changes && coupon(changes));
+
+    const { next } = await apply();
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(BadRequestError);
+    expect(next.mock.calls[0][0].message).toBe(message);
+  });
+});
+
+describe("claimCoupon and releaseCoupon", () => {
+  // the coupon in the database, the model mocks below apply the filters and
+  // updates couponHelper.js sends the way mongodb would
+  let stored;
+
+  const read = (path) =>
+    path.split(".").reduce((value, key) => value?.[key], stored);
+  const write = (path, value) => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    keys.reduce((doc, key) => (doc[key] = doc[key] || {}), stored)[last] =
+      value;
+  };
+  const matches = (filter) =>
+    Object.entries(filter).every(([path, condition]) => {
+      const value = read(path);
+      if (condition?.$lt !== undefined) return value < condition.$lt;
+      if (condition?.$not) return !(value >= condition.$not.$gte);
+      return value === condition;
+    });
+  const evaluate = (expression) => {
+    if (typeof expression === "string") return read(expression.slice(1));
+    if (typeof expression !== "object") return expression;
+    const [[operator, args]] = Object.entries(expression);
+    const [a, b] = args.map(evaluate);
+    switch (operator) {
+      case "$ifNull":
+        return a ?? b;
+      case "$subtract":
+        return a - b;
+      case "$max":
+        return Math.max(a, b);
+    }
+  };
+
+  const claim = (userId) => claimCoupon({ ...stored }, userId);
+  const release = (userId) => releaseCoupon({ ...stored }, userId);
+
+  beforeEach(() => {
+    stored = { _id: "coupon", usedCount: 0, usedBy: {} };
+    couponModel.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      if (!matches(filter)) return null;
+      Object.entries(update.$inc).forEach(([path, count]) =>
+        write(path, (read(path) || 0) + count)
+      );
+      return stored;
+    });
+    couponModel.updateOne.mockImplementation(async (filter, [{ $set }]) => {
+      const values = Object.entries($set).map(([path, expression]) => [
+        path,
+        evaluate(expression),
+      ]);
+      values.forEach(([path, value]) => write(path, value));
+    });
+  });
+
+  it("lets parallel checkouts take only the uses left", async () => {
+    stored.usageLimit = 2;
+
+    const claims = await Promise.all([
+      claim(BUYER),
+      claim(OTHER),
+      claim("65f0000000000000000000ac"),
+    ]);
+
+    expect(claims.filter(Boolean)).toHaveLength(2);
+    expect(stored.usedCount).toBe(2);
+  });
+
+  it("holds each buyer to their own limit", async () => {
+    stored.perUserLimit = 1;
+
+    expect(await claim(BUYER)).toBe(true);
+    expect(await claim(BUYER)).toBe(false);
+    expect(await claim(OTHER)).toBe(true);
+    expect(stored.usedBy).toEqual({ [BUYER]: 1, [OTHER]: 1 });
+  });
+
+  it("gives a use back so the buyer can claim it again", async () => {
+    stored.perUserLimit = 1;
+    stored.usageLimit = 1;
+    await claim(BUYER);
+
+    await release(BUYER);
+
+    expect(stored).toEqual(
+      expect.objectContaining({ usedCount: 0, usedBy: { [BUYER]: 0 } })
+    );
+    expect(await claim(BUYER)).toBe(true);
+  });
+
+  it("never takes a count below 0 for uses from before they were kept per buyer", async () => {
+    stored.usedCount = 1;
+
+    await release(BUYER);
+    await release(BUYER);
+
+    expect(stored.usedCount).toBe(0);
+    expect(stored.usedBy[BUYER]).toBe(0);
+  });
+});
@@ -1,377 +1,589 @@
 import productModel from "../models/productModel.js";
+import productImageModel from "../models/productImageModel.js";
 import categoryModel from "../models/categoryModel.js";
 import orderModel from "../models/orderModel.js";
+import cartModel from "../models/cartModel.js";
+import reviewModel from "../models/reviewModel.js";
+import {
+  priceCart,
+  releaseStock,
+  reserveStock,
+} from "../helpers/orderHelper.js";
+import {
+  claimCoupon,
+  evaluateCoupon,
+  releaseCoupon,
+} from "../helpers/couponHelper.js";
 
-import fs from "fs";
-import slugify from "slugify";
-import braintree from "braintree";
-import dotenv from "dotenv";
-
-dotenv.config();
+import { gateway, reverseTransaction } from "../helpers/paymentHelper.js";
+import {
+  MAX_PRODUCT_IMAGES,
+  PLACEHOLDER_IMAGE,
+  saveProductImages,
+  uploadedFiles,
+} from "../helpers/imageHelper.js";
+import { variantFields, variantSummary } from "../helpers/variantHelper.js";
+import { categoryPath, descendantIds } from "../helpers/categoryHelper.js";
+import { escapeRegex, textSearch } from "../helpers/searchHelper.js";
+import {
+  CATALOG_SORTS,
+  catalogFilters,
+  matchFilters,
+  priceBoundaries,
+  priceFacets,
+  priceSummary,
+} from "../helpers/catalogHelper.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+  asyncHandler,
+  sendData,
+} from "../helpers/errorHelper.js";
 
-//payment gateway
-var gateway = new braintree.BraintreeGateway({
-  environment: braintree.Environment.Sandbox,
-  merchantId: process.env.BRAINTREE_MERCHANT_ID,
-  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
-});
+import slugify from "slugify";
 
-export const createProductController = async (req, res) => {
-  try {
-    const { name, description, price, category, quantity, shipping } =
-      req.fields;
-    const { photo } = req.files;
-    //alidation
-    switch (true) {
-      case !name:
-        return res.status(500).send({ error: "Name is Required" });
-      case !description:
-        return res.status(500).send({ error: "Description is Required" });
-      case !price:
-        return res.status(500).send({ error: "Price is Required" });
-      case !category:
-        return res.status(500).send({ error: "Category is Required" });
-      case !quantity:
-        return res.status(500).send({ error: "Quantity is Required" });
-      case photo && photo.size > 1000000:
-        return res
-          .status(500)
-          .send({ error: "photo is Required and should be less then 1mb" });
+// the editable product fields of the multipart form, products sold in
+// variants take their price and stock from them. on an update current is
+// the product as it is now, stock left out of the form keeps its value
+const productFields = (fields, current) => {
+  const { name, description, price, category, shipping } = fields;
+  const product = {
+    name,
+    description,
+    price,
+    category,
+    quantity: fields.quantity ?? current?.quantity,
+    shipping,
+    ...variantFields(fields, current?.variants),
+  };
+  if (product.variants.length) {
+    return { ...product, ...variantSummary(product.variants) };
+  }
+  Object.entries({ price: "Price", quantity: "Quantity" }).forEach(
+    ([field, label]) => {
+      if (product[field] === undefined || product[field] === "") {
+        const message = `${label} is required`;
+        throw new ValidationError(message, [
+          { field: `fields.${field}`, message },
+        ]);
+      }
     }
+  );
+  return product;
+};
 
-    const products = new productModel({ ...req.fields, slug: slugify(name) });
-    if (photo) {
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
-    }
-    await products.save();
-    res.status(201).send({
-      success: true,
-      message: "Product Created Successfully",
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      error,
-      message: "Error in crearing product",
-    });
-  }
+// a lowercase slug no other product has now or had before, so old links
+// never lead to a different product. "name", then "name-2", "name-3"...
+const uniqueSlug = async (name, id) => {
+  const base = slugify(name, { lower: true, strict: true }) || "product";
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const filter = { $or: [{ slug: pattern }, { previousSlugs: pattern }] };
+  if (id) filter._id = { $ne: id };
+  const products = await productModel.find(filter).select("slug previousSlugs");
+  const taken = new Set(
+    products.flatMap(({ slug, previousSlugs }) => [slug, ...previousSlugs])
+  );
+  let slug = base;
+  for (let i = 2; taken.has(slug); i++) slug = `${base}-${i}`;
+  return slug;
 };
 
-//get all products
-export const getProductController = async (req, res) => {
-  try {
-    const products = await productModel
-      .find({})
-      .populate("category")
-      .select("-photo")
-      .limit(12)
-      .sort({ createdAt: -1 });
-    res.status(200).send({
-      success: true,
-      counTotal: products.length,
-      message: "ALlProducts ",
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Erorr in getting products",
-      error: error.message,
-    });
+// a variant can only show one of its own product's images
+const checkVariantImages = (variants, images = []) => {
+  const ids = images.map(String);
+  if (variants.some(({ image }) => image && !ids.includes(String(image)))) {
+    throw new ValidationError("Variant images must be images of this product");
   }
 };
-// get single product
-export const getSingleProductController = async (req, res) => {
+
+const sendImage = (res, { data, contentType }) => {
+  res.set("Content-type", contentType);
+  res.status(200).send(data);
+};
+
+// photos of a product change with it, browsers check back after a minute
+const PHOTO_CACHE = "public, max-age=60, must-revalidate";
+// an image id always points at the same bytes
+const IMAGE_CACHE = "public, max-age=31536000, immutable";
+
+// set the validators for a conditional request, true when the browser copy
+// is still good and a 304 has been sent instead
+const sendNotModified = (req, res, { etag, lastModified, cacheControl }) => {
+  res.set({
+    ETag: etag,
+    "Last-Modified": lastModified.toUTCString(),
+    "Cache-Control": cacheControl,
+  });
+  if (!req.fresh) return false;
+  res.status(304).end();
+  return true;
+};
+
+export const createProductController = asyncHandler(async (req, res) => {
+  const fields = productFields(req.fields);
+  // images are uploaded with the product, so variants cannot point at them yet
+  checkVariantImages(fields.variants);
+  const products = new productModel({
+    ...fields,
+    slug: await uniqueSlug(fields.name),
+  });
+  await products.validate();
+  products.images = await saveProductImages(
+    products._id,
+    uploadedFiles(req.files, "images")
+  );
   try {
-    const product = await productModel
-      .findOne({ slug: req.params.slug })
-      .select("-photo")
-      .populate("category");
-    res.status(200).send({
-      success: true,
-      message: "Single Product Fetched",
-      product,
-    });
+    await products.save();
   } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Eror while getitng single product",
-      error,
-    });
+    // a product that was not saved leaves no images behind
+    await productImageModel.deleteMany({ product: products._id });
+    throw error;
   }
-};
+  sendData(res, { message: "Product Created Successfully", products }, 201);
+});
 
-// get photo
-export const productPhotoController = async (req, res) => {
-  try {
-    const product = await productModel.findById(req.params.pid).select("photo");
-    if (product.photo.data) {
-      res.set("Content-type", product.photo.contentType);
-      return res.status(200).send(product.photo.data);
+//get all products
+export const getProductController = asyncHandler(async (req, res) => {
+  const products = await productModel
+    .find({})
+    .populate("category")
+    .select("-photo")
+    .limit(12)
+    .sort({ createdAt: -1 });
+  sendData(res, {
+    counTotal: products.length,
+    message: "ALlProducts ",
+    products,
+  });
+});
+// get single product
+export const getSingleProductController = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const product = await productModel
+    .findOne({ slug })
+    .select("-photo")
+    .populate("category");
+  if (!product) {
+    // a renamed product answers its old slugs with the one to go to
+    const renamed = await productModel
+      .findOne({ previousSlugs: slug })
+      .select("slug");
+    if (renamed) {
+      return sendData(res, {
+        message: "Product Moved",
+        redirect: renamed.slug,
+      });
     }
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Erorr while getting photo",
-      error,
-    });
+    throw new NotFoundError("Product not found");
   }
-};
+  const path = await categoryPath(product.category);
+  sendData(res, { message: "Single Product Fetched", product, path });
+});
+
+// get photo, the primary image, the old single photo or a placeholder
+export const productPhotoController = asyncHandler(async (req, res) => {
+  const size = req.query.size || "medium";
+  // leave the image bytes out until we know they have to be sent
+  const product = await productModel
+    .findById(req.params.pid)
+    .select("updatedAt images photo.contentType");
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  const modified = product.updatedAt || product._id.getTimestamp();
+  const cached = sendNotModified(req, res, {
+    etag: `"${product._id}-${modified.getTime()}-${size}"`,
+    lastModified: modified,
+    cacheControl: PHOTO_CACHE,
+  });
+  if (cached) return;
+  if (product.images.length) {
+    const image = await productImageModel
+      .findById(product.images[0])
+      .select(size);
+    if (image?.[size]?.data) return sendImage(res, image[size]);
+  }
+  if (product.photo?.contentType) {
+    const { photo } = await productModel.findById(product._id).select("photo");
+    if (photo?.data) return sendImage(res, photo);
+  }
+  sendImage(res, PLACEHOLDER_IMAGE);
+});
+
+// get one size of a product image
+export const productImageController = asyncHandler(async (req, res) => {
+  const size = req.query.size || "medium";
+  const { id } = req.params;
+  const image = await productImageModel.findById(id).select("createdAt");
+  if (!image) {
+    throw new NotFoundError("Image not found");
+  }
+  const cached = sendNotModified(req, res, {
+    etag: `"${id}-${size}"`,
+    lastModified: image.createdAt,
+    cacheControl: IMAGE_CACHE,
+  });
+  if (cached) return;
+  const sized = await productImageModel.findById(id).select(size);
+  if (!sized?.[size]?.data) {
+    throw new NotFoundError("Image not found");
+  }
+  sendImage(res, sized[size]);
+});
 
 //delete controller
-export const deleteProductController = async (req, res) => {
-  try {
-    await productModel.findByIdAndDelete(req.params.pid).select("-photo");
-    res.status(200).send({
-      success: true,
-      message: "Product Deleted successfully",
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      message: "Error while deleting product",
-      error,
-    });
+export const deleteProductController = asyncHandler(async (req, res) => {
+  const product = await productModel
+    .findByIdAndDelete(req.params.pid)
+    .select("-photo");
+  if (!product) {
+    throw new NotFoundError("Product not found");
   }
-};
+  await productImageModel.deleteMany({ product: req.params.pid });
+  await reviewModel.deleteMany({ product: req.params.pid });
+  sendData(res, { message: "Product Deleted successfully" });
+});
+
+// times an update is tried again when checkout moved the stock meanwhile
+const STOCK_SAVE_ATTEMPTS = 3;
 
 //upate producta
-export const updateProductController = async (req, res) => {
-  try {
-    const { name, description, price, category, quantity, shipping } =
-      req.fields;
-    const { photo } = req.files;
-    //alidation
-    switch (true) {
-      case !name:
-        return res.status(500).send({ error: "Name is Required" });
-      case !description:
-        return res.status(500).send({ error: "Description is Required" });
-      case !price:
-        return res.status(500).send({ error: "Price is Required" });
-      case !category:
-        return res.status(500).send({ error: "Category is Required" });
-      case !quantity:
-        return res.status(500).send({ error: "Quantity is Required" });
-      case photo && photo.size > 1000000:
-        return res
-          .status(500)
-          .send({ error: "photo is Required and should be less then 1mb" });
+export const updateProductController = asyncHandler(async (req, res) => {
+  // the save only goes through while the stock is as it was read. checkout
+  // moves the product total with every reservation, so stock reserved in
+  // between is read again instead of being overwritten
+  for (let attempt = 0; attempt < STOCK_SAVE_ATTEMPTS; attempt++) {
+    const existing = await productModel
+      .findById(req.params.pid)
+      .select("name slug previousSlugs images quantity variants");
+    if (!existing) {
+      throw new NotFoundError("Product not found");
     }
+    const fields = productFields(req.fields, existing);
+    checkVariantImages(fields.variants, existing.images);
+    // the slug only changes with the name, the old one is kept for old links
+    if (fields.name !== existing.name) {
+      fields.slug = await uniqueSlug(fields.name, existing._id);
+      if (fields.slug !== existing.slug) {
+        fields.previousSlugs = [
+          ...existing.previousSlugs.filter((slug) => slug !== fields.slug),
+          existing.slug,
+        ];
+      }
+    }
+    const products = await productModel
+      .findOneAndUpdate(
+        { _id: existing._id, quantity: existing.quantity },
+        fields,
+        { new: true, runValidators: true }
+      )
+      .select("-photo");
+    if (products) {
+      return sendData(
+        res,
+        { message: "Product Updated Successfully", products },
+        201
+      );
+    }
+  }
+  throw new ConflictError("Stock keeps changing, please try again");
+});
 
-    const products = await productModel.findByIdAndUpdate(
-      req.params.pid,
-      { ...req.fields, slug: slugify(name) },
-      { new: true }
+//add images after the existing ones
+export const addImagesController = asyncHandler(async (req, res) => {
+  const { pid } = req.params;
+  const files = uploadedFiles(req.files, "images");
+  const product = await productModel.findById(pid).select("images");
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+    throw new ValidationError(
+      `A product can have at most ${MAX_PRODUCT_IMAGES} images`
     );
-    if (photo) {
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
-    }
-    await products.save();
-    res.status(201).send({
-      success: true,
-      message: "Product Updated Successfully",
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).send({
-      success: false,
-      error,
-      message: "Error in Updte product",
-    });
   }
-};
+  const ids = await saveProductImages(pid, files);
+  const updated = await productModel
+    .findByIdAndUpdate(
+      pid,
+      { $push: { images: { $each: ids } } },
+      { new: true }
+    )
+    .select("images");
+  sendData(res, { message: "Images Added", images: updated.images }, 201);
+});
 
-// filters
-export const productFiltersController = async (req, res) => {
-  try {
-    const { checked, radio } = req.body;
-    let args = {};
-    if (checked.length > 0) args.category = checked;
-    if (radio.length) args.price = { $gte: radio[0], $lte: radio[1] };
-    const products = await productModel.find(args);
-    res.status(200).send({
-      success: true,
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      success: false,
-      message: "Error WHile Filtering Products",
-      error,
-    });
+//put the images in a new order, the first becomes the primary image
+export const reorderImagesController = asyncHandler(async (req, res) => {
+  const { pid } = req.params;
+  const product = await productModel.findById(pid).select("images");
+  if (!product) {
+    throw new NotFoundError("Product not found");
   }
-};
+  const current = product.images.map(String);
+  const images = req.body.images.map(String);
+  if (
+    images.length !== current.length ||
+    new Set(images).size !== images.length ||
+    !images.every((id) => current.includes(id))
+  ) {
+    throw new ValidationError(
+      "Images must list every image of the product once"
+    );
+  }
+  // only reorder the list that was checked above
+  const { matchedCount } = await productModel.updateOne(
+    { _id: pid, images: product.images },
+    { images }
+  );
+  if (!matchedCount) {
+    throw new ConflictError("Images were changed, please reload and try again");
+  }
+  sendData(res, { message: "Images Reordered", images });
+});
 
-// product count
-export const productCountController = async (req, res) => {
-  try {
-    const total = await productModel.find({}).estimatedDocumentCount();
-    res.status(200).send({
-      success: true,
-      total,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      message: "Error in product count",
-      error,
-      success: false,
-    });
+//remove one image
+export const deleteImageController = asyncHandler(async (req, res) => {
+  const { pid, imageId } = req.params;
+  const product = await productModel
+    .findOneAndUpdate(
+      { _id: pid, images: imageId },
+      { $pull: { images: imageId } },
+      { new: true }
+    )
+    .select("images");
+  if (!product) {
+    throw new NotFoundError("Image not found");
   }
-};
+  // variants showing the image fall back to the product images
+  await productModel.updateOne(
+    { _id: pid, "variants.image": imageId },
+    { $unset: { "variants.$[variant].image": "" } },
+    { arrayFilters: [{ "variant.image": imageId }] }
+  );
+  await productImageModel.deleteOne({ _id: imageId });
+  sendData(res, { message: "Image Removed", images: product.images });
+});
 
-// product list base on page
-export const productListController = async (req, res) => {
-  try {
-    const perPage = 6;
-    const page = req.params.page ? req.params.page : 1;
-    const products = await productModel
-      .find({})
+//catalogue, filtered, sorted and paged, with the number of products every
+//category and price range would show with the other filters applied
+export const catalogController = asyncHandler(async (req, res) => {
+  const perPage = 6;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const filters = await catalogFilters(req.query);
+  const sort = { ...CATALOG_SORTS[req.query.sort || "newest"], _id: -1 };
+  // picking a price range must not change the ranges on offer
+  const priceMatch = matchFilters(filters, "price");
+  const boundaries = await priceBoundaries(priceMatch);
+  const [products, total, [facets]] = await Promise.all([
+    productModel
+      .find(matchFilters(filters))
       .select("-photo")
+      .sort(sort)
       .skip((page - 1) * perPage)
-      .limit(perPage)
-      .sort({ createdAt: -1 });
-    res.status(200).send({
-      success: true,
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      success: false,
-      message: "error in per page ctrl",
-      error,
-    });
-  }
-};
+      .limit(perPage),
+    productModel.countDocuments(matchFilters(filters)),
+    productModel.aggregate([
+      {
+        $facet: {
+          categories: [
+            { $match: matchFilters(filters, "category") },
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+          ],
+          ...priceFacets(priceMatch, boundaries),
+        },
+      },
+    ]),
+  ]);
+  sendData(res, {
+    products,
+    total,
+    page,
+    perPage,
+    facets: {
+      categories: Object.fromEntries(
+        facets.categories.map(({ _id, count }) => [String(_id), count])
+      ),
+      prices: priceSummary(facets, boundaries),
+    },
+  });
+});
 
-// search product
-export const searchProductController = async (req, res) => {
-  try {
-    const { keyword } = req.params;
-    const resutls = await productModel
-      .find({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
-      })
-      .select("-photo");
-    res.json(resutls);
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      success: false,
-      message: "Error In Search Product API",
-      error,
-    });
+//price ranges of the catalogue for the filters given, with the lowest and
+//highest price
+export const priceRangesController = asyncHandler(async (req, res) => {
+  const match = matchFilters(await catalogFilters(req.query), "price");
+  const boundaries = await priceBoundaries(match);
+  const [facets] = await productModel.aggregate([
+    { $facet: priceFacets(match, boundaries) },
+  ]);
+  sendData(res, priceSummary(facets, boundaries));
+});
+
+// search product, best matches first
+export const searchProductController = asyncHandler(async (req, res) => {
+  const perPage = 12;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const keyword = req.query.keyword.trim();
+  const search = textSearch(keyword);
+  let filter = { $text: { $search: search } };
+  let sort = { score: { $meta: "textScore" } };
+  // the text index only matches whole words, fall back to part of a name
+  if (!search || !(await productModel.exists(filter))) {
+    filter = { name: { $regex: escapeRegex(keyword), $options: "i" } };
+    sort = { createdAt: -1 };
   }
-};
+  const [products, total] = await Promise.all([
+    productModel
+      .find(filter)
+      .select("-photo")
+      .sort(sort)
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+    productModel.countDocuments(filter),
+  ]);
+  sendData(res, { products, total, page, perPage });
+});
+
+// search suggestions, products and categories with a word starting with
+// the prefix
+export const searchSuggestionsController = asyncHandler(async (req, res) => {
+  const prefix = escapeRegex(req.query.prefix.trim());
+  const filter = { name: { $regex: `(^|\\s)${prefix}`, $options: "i" } };
+  const [products, categories] = await Promise.all([
+    productModel
+      .find(filter)
+      .select("name slug")
+      .sort({ ratingCount: -1, name: 1 })
+      .limit(6),
+    categoryModel.find(filter).select("name slug").sort({ name: 1 }).limit(3),
+  ]);
+  sendData(res, { products, categories });
+});
 
 // similar products
-export const realtedProductController = async (req, res) => {
-  try {
-    const { pid, cid } = req.params;
-    const products = await productModel
-      .find({
-        category: cid,
-        _id: { $ne: pid },
-      })
-      .select("-photo")
-      .limit(3)
-      .populate("category");
-    res.status(200).send({
-      success: true,
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      success: false,
-      message: "error while geting related product",
-      error,
-    });
-  }
-};
+export const realtedProductController = asyncHandler(async (req, res) => {
+  const { pid, cid } = req.params;
+  const products = await productModel
+    .find({
+      category: cid,
+      _id: { $ne: pid },
+    })
+    .select("-photo")
+    .limit(3)
+    .populate("category");
+  sendData(res, { products });
+});
 
 // get prdocyst by catgory
-export const productCategoryController = async (req, res) => {
-  try {
-    const category = await categoryModel.findOne({ slug: req.params.slug });
-    const products = await productModel.find({ category }).populate("category");
-    res.status(200).send({
-      success: true,
-      category,
-      products,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(400).send({
-      success: false,
-      error,
-      message: "Error While Getting products",
-    });
+export const productCategoryController = asyncHandler(async (req, res) => {
+  const category = await categoryModel.findOne({ slug: req.params.slug });
+  if (!category) {
+    throw new NotFoundError("Category not found");
   }
-};
+  const path = await categoryPath(category);
+  const categories = ["true", "1"].includes(req.query.subcategories)
+    ? await descendantIds(category._id)
+    : [category._id];
+  const products = await productModel
+    .find({ category: categories })
+    .populate("category");
+  sendData(res, { category, path, products });
+});
 
 //payment gateway api
 //token
-export const braintreeTokenController = async (req, res) => {
+export const braintreeTokenController = asyncHandler(async (req, res) => {
+  const response = await gateway.clientToken.generate({});
+  sendData(res, { clientToken: response.clientToken });
+});
+
+//payment
+export const brainTreePaymentController = asyncHandler(async (req, res) => {
+  const { nonce, cart, couponCode } = req.body;
+  const { items, total, errors } = await priceCart(cart);
+  if (errors.length) {
+    throw new BadRequestError(
+      "Some items in your cart are unavailable",
+      errors
+    );
+  }
+
+  let coupon;
+  let discount = 0;
+  if (couponCode) {
+    ({ coupon, discount } = await evaluateCoupon({
+      code: couponCode,
+      items,
+      total,
+      userId: req.user._id,
+    }));
+  }
+
+  // stock is taken before charging so two buyers cannot pay for the last unit
+  const stockErrors = await reserveStock(items);
+  if (stockErrors.length) {
+    throw new BadRequestError(
+      "Some items in your cart are unavailable",
+      stockErrors
+    );
+  }
+  if (coupon && !(await claimCoupon(coupon, req.user._id))) {
+    await releaseStock(items);
+    throw new BadRequestError("Coupon has reached its usage limit");
+  }
+  // undo the stock and coupon taken above when the sale falls through
+  const release = async () => {
+    await releaseStock(items);
+    if (coupon) await releaseCoupon(coupon, req.user._id);
+  };
+
+  let result;
   try {
-    gateway.clientToken.generate({}, function (err, response) {
-      if (err) {
-        res.status(500).send(err);
-      } else {
-        res.send(response);
-      }
+    result = await gateway.transaction.sale({
+      amount: Math.max(total - discount, 0).toFixed(2),
+      paymentMethodNonce: nonce,
+      options: {
+        submitForSettlement: true,
+      },
     });
   } catch (error) {
-    console.log(error);
+    await release();
+    throw error;
+  }
+  if (!result.success) {
+    await release();
+    throw new PaymentError(result.message);
   }
-};
 
-//payment
-export const brainTreePaymentController = async (req, res) => {
+  let order;
   try {
-    const { nonce, cart } = req.body;
-    let total = 0;
-    cart.map((i) => {
-      total += i.price;
-    });
-    let newTransaction = gateway.transaction.sale(
-      {
-        amount: total,
-        paymentMethodNonce: nonce,
-        options: {
-          submitForSettlement: true,
-        },
-      },
-      function (error, result) {
-        if (result) {
-          const order = new orderModel({
-            products: cart,
-            payment: result,
-            buyer: req.user._id,
-          }).save();
-          res.json({ ok: true });
-        } else {
-          res.status(500).send(error);
-        }
-      }
-    );
+    order = await new orderModel({
+      products: items,
+      discount: coupon
+        ? { coupon: coupon._id, code: coupon.code, amount: discount }
+        : undefined,
+      payment: result,
+      buyer: req.user._id,
+      statusHistory: [{ status: "Not Process", by: req.user._id }],
+    }).save();
   } catch (error) {
-    console.log(error);
+    // the buyer has been charged, so give the money back along with the
+    // stock. a sale that cannot be reversed is logged to settle by hand
+    const transactionId = result.transaction.id;
+    try {
+      const reversal = await reverseTransaction(transactionId);
+      if (!reversal.success) throw new Error(reversal.message);
+    } catch (reversalError) {
+      console.log(`Could not reverse transaction ${transactionId}`);
+      console.log(reversalError);
+    }
+    await release();
+    throw error;
   }
-};
\ No newline at end of file
+  await cartModel.updateOne({ user: req.user._id }, { items: [] });
+  sendData(res, { message: "Payment Completed Successfully", order }, 201);
+});
\ No newline at end of file
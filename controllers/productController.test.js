@@ -0,0 +1,501 @@
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import cartModel from "../models/cartModel.js";
+import { gateway, reverseTransaction } from "../helpers/paymentHelper.js";
+import {
+  claimCoupon,
+  evaluateCoupon,
+  releaseCoupon,
+} from "../helpers/couponHelper.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "../helpers/errorHelper.js";
+import {
+  brainTreePaymentController,
+  getSingleProductController,
+  updateProductController,
+} from "./productController.js";
+
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+jest.mock("../models/orderModel.js", () => ({
+  __esModule: true,
+  default: jest.fn(),
+}));
+jest.mock("../models/cartModel.js", () => ({
+  __esModule: true,
+  default: { updateOne: jest.fn() },
+}));
+jest.mock("../helpers/paymentHelper.js", () => ({
+  gateway: { transaction: { sale: jest.fn() } },
+  reverseTransaction: jest.fn(),
+}));
+jest.mock("../helpers/couponHelper.js", () => ({
+  claimCoupon: jest.fn(),
+  evaluateCoupon: jest.fn(),
+  releaseCoupon: jest.fn(),
+}));
+jest.mock("../helpers/imageHelper.js", () => ({}));
+jest.mock("../helpers/categoryHelper.js", () => ({
+  categoryPath: jest.fn().mockResolvedValue([]),
+  descendantIds: jest.fn(),
+}));
+
+const SHIRT = "65f000000000000000000001";
+const MUG = "65f000000000000000000002";
+const BUYER = "65f0000000000000000000aa";
+
+// the products as they are in the database
+const products = [
+  { _id: SHIRT, name: "Shirt", price: 20, quantity: 5, variants: [] },
+  { _id: MUG, name: "Mug", price: 8, quantity: 1, variants: [] },
+];
+
+// a mongoose query that resolves with the value once .select() is called
+const query = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+const pay = async (body) => {
+  const req = { body: { nonce: "nonce", ...body }, user: { _id: BUYER } };
+  const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+  const next = jest.fn();
+  await brainTreePaymentController(req, res, next);
+  return { res, next };
+};
+
+// the stock updates that put units back, as { product, count }
+const released = () =>
+  productModel.updateOne.mock.calls.map(([filter, update]) => ({
+    product: filter._id,
+    count: update.$inc.quantity,
+  }));
+
+describe("brainTreePaymentController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    productModel.find.mockReturnValue(query(products));
+    productModel.findOneAndUpdate.mockImplementation(() => query({}));
+    orderModel.mockImplementation((order) => ({
+      save: jest.fn().mockResolvedValue({ _id: "order", ...order }),
+    }));
+    gateway.transaction.sale.mockResolvedValue({
+      success: true,
+      transaction: { id: "txn" },
+    });
+    reverseTransaction.mockResolvedValue({ success: true });
+  });
+
+  it("charges the database price, not the one sent with the cart", async () => {
+    const { res, next } = await pay({
+      cart: [
+        { _id: SHIRT, price: 0.01, quantity: 2 },
+        { _id: MUG, price: 0.01 },
+      ],
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(gateway.transaction.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: "48.00" })
+    );
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [
+          expect.objectContaining({
+            product: SHIRT,
+            name: "Shirt",
+            quantity: 2,
+            unitPrice: 20,
+          }),
+          expect.objectContaining({ product: MUG, quantity: 1, unitPrice: 8 }),
+        ],
+      })
+    );
+    expect(cartModel.updateOne).toHaveBeenCalledWith(
+      { user: BUYER },
+      { items: [] }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("merges repeated lines of the same product before pricing", async () => {
+    await pay({ cart: [{ _id: SHIRT }, { _id: SHIRT, quantity: 2 }] });
+
+    expect(gateway.transaction.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: "60.00" })
+    );
+  });
+
+  it("refuses a cart asking for more than is in stock", async () => {
+    const { next } = await pay({ cart: [{ _id: MUG, quantity: 2 }] });
+
+    const error = next.mock.calls[0][0];
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error.details).toEqual([
+      expect.objectContaining({
+        product: MUG,
+        requested: 2,
+        available: 1,
+        reason: "Not enough stock",
+      }),
+    ]);
+    expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(gateway.transaction.sale).not.toHaveBeenCalled();
+  });
+
+  it("refuses products that no longer exist and invalid quantities", async () => {
+    const { next } = await pay({
+      cart: [
+        { _id: "65f000000000000000000003" },
+        { _id: SHIRT, quantity: 1.5 },
+      ],
+    });
+
+    expect(next.mock.calls[0][0].details.map((e) => e.reason)).toEqual([
+      "Product no longer exists",
+      "Invalid quantity",
+    ]);
+    expect(gateway.transaction.sale).not.toHaveBeenCalled();
+  });
+
+  it("puts back the stock already reserved when a later line sold out", async () => {
+    // another buyer took the last mug between pricing and reserving
+    productModel.findOneAndUpdate
+      .mockImplementationOnce(() => query({}))
+      .mockImplementationOnce(() => query(null));
+
+    const { next } = await pay({ cart: [{ _id: SHIRT }, { _id: MUG }] });
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(BadRequestError);
+    expect(next.mock.calls[0][0].details).toEqual([
+      expect.objectContaining({ product: MUG, reason: "Not enough stock" }),
+    ]);
+    expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: SHIRT, quantity: { $gte: 1 } },
+      { $inc: { quantity: -1 } },
+      { new: true }
+    );
+    expect(released()).toEqual([{ product: SHIRT, count: 1 }]);
+    expect(gateway.transaction.sale).not.toHaveBeenCalled();
+  });
+
+  it("releases the stock and the coupon when the payment is declined", async () => {
+    const coupon = { _id: "coupon", code: "SAVE5" };
+    evaluateCoupon.mockResolvedValue({ coupon, discount: 5 });
+    claimCoupon.mockResolvedValue(true);
+    gateway.transaction.sale.mockResolvedValue({
+      success: false,
+      message: "Declined",
+    });
+
+    const { next } = await pay({
+      cart: [{ _id: SHIRT, quantity: 2 }, { _id: MUG }],
+      couponCode: "save5",
+    });
+
+    expect(gateway.transaction.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: "43.00" })
+    );
+    expect(next.mock.calls[0][0]).toBeInstanceOf(PaymentError);
+    expect(next.mock.calls[0][0].message).toBe("Declined");
+    expect(released()).toEqual([
+      { product: SHIRT, count: 2 },
+      { product: MUG, count: 1 },
+    ]);
+    expect(releaseCoupon).toHaveBeenCalledWith(coupon, BUYER);
+    expect(orderModel).not.toHaveBeenCalled();
+  });
+
+  it("releases the stock when the gateway cannot be reached", async () => {
+    const failure = new Error("Network down");
+    gateway.transaction.sale.mockRejectedValue(failure);
+
+    const { next } = await pay({ cart: [{ _id: SHIRT }] });
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(released()).toEqual([{ product: SHIRT, count: 1 }]);
+    expect(releaseCoupon).not.toHaveBeenCalled();
+  });
+
+  it("refunds the sale and releases the stock when the order cannot be saved", async () => {
+    const failure = new Error("Write failed");
+    orderModel.mockImplementation(() => ({
+      save: jest.fn().mockRejectedValue(failure),
+    }));
+
+    const { next } = await pay({ cart: [{ _id: SHIRT }] });
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(reverseTransaction).toHaveBeenCalledWith("txn");
+    expect(released()).toEqual([{ product: SHIRT, count: 1 }]);
+    expect(cartModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("still releases the stock when the refund fails too", async () => {
+    const failure = new Error("Write failed");
+    orderModel.mockImplementation(() => ({
+      save: jest.fn().mockRejectedValue(failure),
+    }));
+    reverseTransaction.mockResolvedValue({ success: false, message: "No" });
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const { next } = await pay({ cart: [{ _id: SHIRT }] });
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(log).toHaveBeenCalledWith("Could not reverse transaction txn");
+    expect(released()).toEqual([{ product: SHIRT, count: 1 }]);
+    log.mockRestore();
+  });
+
+  it("releases the stock when the coupon ran out while reserving", async () => {
+    evaluateCoupon.mockResolvedValue({
+      coupon: { _id: "coupon" },
+      discount: 5,
+    });
+    claimCoupon.mockResolvedValue(false);
+
+    const { next } = await pay({
+      cart: [{ _id: SHIRT }],
+      couponCode: "SAVE5",
+    });
+
+    expect(next.mock.calls[0][0].message).toBe(
+      "Coupon has reached its usage limit"
+    );
+    expect(released()).toEqual([{ product: SHIRT, count: 1 }]);
+    expect(gateway.transaction.sale).not.toHaveBeenCalled();
+  });
+});
+
+describe("updateProductController", () => {
+  const VARIANT = "65f000000000000000000011";
+  // the shirt as it is now, checkout reserved one while the form was open
+  const stored = (changes) => ({
+    _id: SHIRT,
+    name: "Shirt",
+    slug: "shirt",
+    previousSlugs: [],
+    images: [],
+    quantity: 4,
+    variants: [],
+    ...changes,
+  });
+  const form = {
+    name: "Shirt",
+    description: "Cotton",
+    price: "20",
+    category: "65f0000000000000000000c1",
+    shipping: "true",
+  };
+
+  const update = async (fields) => {
+    const req = { params: { pid: SHIRT }, fields };
+    const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+    const next = jest.fn();
+    await updateProductController(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    productModel.findById.mockImplementation(() => query(stored()));
+    productModel.findOneAndUpdate.mockImplementation((filter, fields) =>
+      query(fields)
+    );
+  });
+
+  it("keeps the current stock when the form leaves it out", async () => {
+    const { res } = await update(form);
+
+    expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: SHIRT, quantity: 4 },
+      expect.objectContaining({ quantity: 4 }),
+      expect.anything()
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("keeps the stock of variants sent without a quantity", async () => {
+    productModel.findById.mockImplementation(() =>
+      query(
+        stored({
+          quantity: 3,
+          variants: [{ _id: VARIANT, sku: "S-RED", price: 20, quantity: 3 }],
+        })
+      )
+    );
+
+    await update({
+      ...form,
+      options: JSON.stringify([{ name: "Colour", values: ["Red", "Blue"] }]),
+      variants: JSON.stringify([
+        { _id: VARIANT, sku: "S-RED", price: 20, options: { Colour: "Red" } },
+        { sku: "S-BLUE", price: 22, quantity: 5, options: { Colour: "Blue" } },
+      ]),
+    });
+
+    const [, fields] = productModel.findOneAndUpdate.mock.calls[0];
+    expect(fields.variants.map((v) => v.quantity)).toEqual([3, 5]);
+    expect(fields.quantity).toBe(8);
+  });
+
+  it("reads the stock again when checkout moved it before the save", async () => {
+    productModel.findById
+      .mockImplementationOnce(() => query(stored()))
+      .mockImplementationOnce(() => query(stored({ quantity: 3 })));
+    productModel.findOneAndUpdate.mockImplementationOnce(() => query(null));
+
+    await update({ ...form, quantity: "10" });
+
+    expect(productModel.findOneAndUpdate.mock.calls.map(([f]) => f)).toEqual([
+      { _id: SHIRT, quantity: 4 },
+      { _id: SHIRT, quantity: 3 },
+    ]);
+  });
+
+  it.each(["Size.EU", "$where"])(
+    "refuses %s as an option name",
+    async (name) => {
+      const { next } = await update({
+        ...form,
+        options: JSON.stringify([{ name, values: ["S"] }]),
+        variants: JSON.stringify([
+          { sku: "S", price: 20, quantity: 1, options: { [name]: "S" } },
+        ]),
+      });
+
+      expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    }
+  );
+
+  it("gives up when the stock keeps changing", async () => {
+    productModel.findOneAndUpdate.mockImplementation(() => query(null));
+
+    const { next } = await update(form);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ConflictError);
+  });
+});
+
+describe("product slugs", () => {
+  // other products, the slug lookups below search them the way the
+  // queries in productController.js would
+  let catalog;
+
+  const form = {
+    name: "Tee",
+    description: "Cotton",
+    price: "20",
+    quantity: "4",
+    category: "65f0000000000000000000c1",
+  };
+
+  const rename = async (name) => {
+    const req = { params: { pid: SHIRT }, fields: { ...form, name } };
+    const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+    await updateProductController(req, res, jest.fn());
+    return productModel.findOneAndUpdate.mock.calls[0][1];
+  };
+
+  const open = async (slug) => {
+    const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+    const next = jest.fn();
+    await getSingleProductController({ params: { slug } }, res, next);
+    return { data: res.send.mock.calls[0]?.[0]?.data, next };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    catalog = [];
+    productModel.find.mockImplementation(({ $or: [{ slug: pattern }] }) =>
+      query(
+        catalog.filter(({ slug, previousSlugs }) =>
+          [slug, ...previousSlugs].some((s) => pattern.test(s))
+        )
+      )
+    );
+    productModel.findOne.mockImplementation((filter) => {
+      const product =
+        catalog.find(({ slug, previousSlugs }) =>
+          filter.slug
+            ? slug === filter.slug
+            : previousSlugs.includes(filter.previousSlugs)
+        ) || null;
+      // awaited as it is, or after populate
+      const found = Object.assign(Promise.resolve(product), {
+        populate: jest.fn().mockResolvedValue(product),
+      });
+      return { select: jest.fn().mockReturnValue(found) };
+    });
+    productModel.findById.mockImplementation(() =>
+      query({
+        _id: SHIRT,
+        name: "Shirt",
+        slug: "shirt",
+        previousSlugs: [],
+        images: [],
+        quantity: 4,
+        variants: [],
+      })
+    );
+    productModel.findOneAndUpdate.mockImplementation((filter, fields) =>
+      query(fields)
+    );
+  });
+
+  it("keeps the old slug when a product is renamed", async () => {
+    const fields = await rename("Tee");
+
+    expect(fields.slug).toBe("tee");
+    expect(fields.previousSlugs).toEqual(["shirt"]);
+  });
+
+  it("numbers the slug when other products have it", async () => {
+    catalog = [
+      { slug: "tee", previousSlugs: [] },
+      { slug: "tee-2", previousSlugs: [] },
+      { slug: "teen", previousSlugs: [] },
+    ];
+
+    expect((await rename("Tee")).slug).toBe("tee-3");
+  });
+
+  it("does not take a slug another product had before", async () => {
+    catalog = [{ slug: "polo", previousSlugs: ["tee"] }];
+
+    expect((await rename("Tee")).slug).toBe("tee-2");
+  });
+
+  it("sends an old slug on to the product's new one", async () => {
+    catalog = [{ slug: "tee", previousSlugs: ["shirt"] }];
+
+    const { data } = await open("shirt");
+
+    expect(data).toEqual({ message: "Product Moved", redirect: "tee" });
+  });
+
+  it("finds a product by its current slug", async () => {
+    catalog = [{ slug: "tee", previousSlugs: ["shirt"] }];
+
+    const { data } = await open("tee");
+
+    expect(data.product).toBe(catalog[0]);
+  });
+
+  it("answers not found for a slug no product had", async () => {
+    const { next } = await open("shirt");
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(NotFoundError);
+  });
+});
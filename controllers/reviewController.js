@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import reviewModel from "../models/reviewModel.js";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  asyncHandler,
+  sendData,
+} from "../helpers/errorHelper.js";
+
+// keep the rating summary on the product in step with its visible reviews
+const updateProductRating = async (productId) => {
+  const [stats] = await reviewModel.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        hidden: false,
+      },
+    },
+    {
+      $group: {
+        _id: "$product",
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  await productModel.findByIdAndUpdate(productId, {
+    ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+    ratingCount: stats ? stats.count : 0,
+  });
+};
+
+//reviews shown on the product page
+export const productReviewsController = asyncHandler(async (req, res) => {
+  const reviews = await reviewModel
+    .find({ product: req.params.pid, hidden: false })
+    .populate("user", "name")
+    .sort({ createdAt: -1 });
+  sendData(res, { reviews });
+});
+
+//every review of a product, hidden ones included, for admins
+export const allProductReviewsController = asyncHandler(async (req, res) => {
+  const reviews = await reviewModel
+    .find({ product: req.params.pid })
+    .populate("user", "name")
+    .sort({ createdAt: -1 });
+  sendData(res, { reviews });
+});
+
+//the signed in user's own review, hidden or not
+export const myReviewController = asyncHandler(async (req, res) => {
+  const review = await reviewModel
+    .findOne({ product: req.params.pid, user: req.user._id })
+    .populate("user", "name");
+  sendData(res, { review });
+});
+
+//create review
+export const createReviewController = asyncHandler(async (req, res) => {
+  const { pid } = req.params;
+  const { rating, comment } = req.body;
+  const delivered = await orderModel.exists({
+    buyer: req.user._id,
+    status: "deliverd",
+    "products.product": pid,
+  });
+  if (!delivered) {
+    throw new ForbiddenError(
+      "Only buyers with a delivered order can review this product"
+    );
+  }
+  const existingReview = await reviewModel.findOne({
+    product: pid,
+    user: req.user._id,
+  });
+  if (existingReview) {
+    throw new ConflictError("You have already reviewed this product");
+  }
+  const review = await new reviewModel({
+    product: pid,
+    user: req.user._id,
+    rating: Number(rating),
+    comment,
+  }).save();
+  await updateProductRating(pid);
+  sendData(res, { message: "Review Added", review }, 201);
+});
+
+//update own review
+export const updateReviewController = asyncHandler(async (req, res) => {
+  const { rating, comment } = req.body;
+  const review = await reviewModel.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+  if (rating !== undefined) review.rating = Number(rating);
+  if (comment !== undefined) review.comment = comment;
+  await review.save();
+  await updateProductRating(review.product);
+  sendData(res, { message: "Review Updated", review });
+});
+
+//delete own review, admins can delete any
+export const deleteReviewController = asyncHandler(async (req, res) => {
+  const user = await userModel.findById(req.user._id).select("role");
+  const filter = { _id: req.params.id };
+  if (user?.role !== 1) filter.user = req.user._id;
+  const review = await reviewModel.findOneAndDelete(filter);
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+  await updateProductRating(review.product);
+  sendData(res, { message: "Review Deleted" });
+});
+
+//hide or show a review
+export const hideReviewController = asyncHandler(async (req, res) => {
+  const { hidden } = req.body;
+  const review = await reviewModel.findByIdAndUpdate(
+    req.params.id,
+    { hidden },
+    { new: true }
+  );
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+  await updateProductRating(review.product);
+  sendData(res, {
+    message: hidden ? "Review Hidden" : "Review Visible",
+    review,
+  });
+});
@@ -0,0 +1,50 @@
+import wishlistModel from "../models/wishlistModel.js";
+import productModel from "../models/productModel.js";
+import {
+  NotFoundError,
+  asyncHandler,
+  sendData,
+} from "../helpers/errorHelper.js";
+
+// wishlist products without photos, deleted products dropped
+const wishlistProducts = async (userId) => {
+  const wishlist = await wishlistModel
+    .findOne({ user: userId })
+    .populate("products", "-photo");
+  return wishlist ? wishlist.products.filter(Boolean) : [];
+};
+
+//get wishlist
+export const getWishlistController = asyncHandler(async (req, res) => {
+  sendData(res, { products: await wishlistProducts(req.user._id) });
+});
+
+//add to wishlist
+export const addWishlistItemController = asyncHandler(async (req, res) => {
+  const { productId } = req.body;
+  const product = await productModel.findById(productId).select("_id");
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  await wishlistModel.findOneAndUpdate(
+    { user: req.user._id },
+    { $addToSet: { products: product._id } },
+    { upsert: true }
+  );
+  sendData(res, {
+    message: "Added to wishlist",
+    products: await wishlistProducts(req.user._id),
+  });
+});
+
+//remove from wishlist
+export const removeWishlistItemController = asyncHandler(async (req, res) => {
+  await wishlistModel.findOneAndUpdate(
+    { user: req.user._id },
+    { $pull: { products: req.params.pid } }
+  );
+  sendData(res, {
+    message: "Removed from wishlist",
+    products: await wishlistProducts(req.user._id),
+  });
+});
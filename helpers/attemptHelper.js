@@ -0,0 +1,147 @@
+// attempt tracking for login and password reset. entries live in a store
+// with async get/update/delete/list, the in-memory one below only lasts as
+// long as the process, setAttemptStore swaps in a persistent one. update has
+// to read and write in one step (a findOneAndUpdate, a redis script), or
+// parallel requests can all get past the limit
+export const createMemoryStore = () => {
+  const entries = new Map();
+  const alive = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  return {
+    get: async (key) => alive(key)?.value,
+    // change gets the current value, or undefined, and returns the next one
+    update: async (key, change, ttlMs) => {
+      const value = change(alive(key)?.value);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    list: async (prefix) =>
+      [...entries.keys()]
+        .filter((key) => key.startsWith(prefix) && alive(key))
+        .map((key) => ({ key, value: entries.get(key).value })),
+  };
+};
+
+let store = createMemoryStore();
+
+export const setAttemptStore = (nextStore) => {
+  store = nextStore;
+};
+
+const MINUTE = 60 * 1000;
+
+// failures are forgotten after windowMs without a new one. after delayAfter
+// failures each attempt on the account has to wait longer, doubling up to
+// maxDelayMs, and reaching the limit locks the account or ip for lockMs.
+// ips are shared behind proxies so they are only ever locked, not slowed
+const POLICIES = {
+  login: {
+    account: 5,
+    ip: 20,
+    delayAfter: 2,
+    maxDelayMs: 30 * 1000,
+    lockMs: 15 * MINUTE,
+    windowMs: 15 * MINUTE,
+  },
+  "password-reset": {
+    account: 5,
+    ip: 20,
+    delayAfter: 2,
+    maxDelayMs: 60 * 1000,
+    lockMs: 60 * MINUTE,
+    windowMs: 60 * MINUTE,
+  },
+};
+
+// how long an entry is kept after its last change
+const ttlOf = (policy) => Math.max(policy.windowMs, policy.lockMs);
+
+const keysFor = (scope, { account, ip }) => {
+  const keys = [];
+  if (account) {
+    keys.push({
+      key: `${scope}:account:${String(account).trim().toLowerCase()}`,
+      limit: POLICIES[scope].account,
+      account: true,
+    });
+  }
+  if (ip) keys.push({ key: `${scope}:ip:${ip}`, limit: POLICIES[scope].ip });
+  return keys;
+};
+
+// the entry after one more attempt, with the lock or the wait it has earned
+const countAttempt = (entry, { limit, account }, policy, now) => {
+  const failures = entry.failures + 1;
+  const next = { failures };
+  if (failures >= limit) {
+    next.lockedUntil = now + policy.lockMs;
+  } else if (account && failures > policy.delayAfter) {
+    next.nextAttemptAt =
+      now +
+      Math.min(1000 * 2 ** (failures - policy.delayAfter), policy.maxDelayMs);
+  }
+  return next;
+};
+
+// take an attempt before the email or password is checked, so a burst of
+// parallel guesses cannot all get in before the first one fails. every
+// attempt counts as a failure until clearAttempts gives it back. resolves
+// with the seconds the caller has to wait, 0 when the attempt was taken
+export const takeAttempt = async (scope, who) => {
+  const policy = POLICIES[scope];
+  for (const rule of keysFor(scope, who)) {
+    let wait = 0;
+    await store.update(
+      rule.key,
+      (entry = { failures: 0 }) => {
+        const now = Date.now();
+        wait = Math.max(entry.lockedUntil || 0, entry.nextAttemptAt || 0) - now;
+        return wait > 0 ? entry : countAttempt(entry, rule, policy, now);
+      },
+      ttlOf(policy)
+    );
+    if (wait > 0) return Math.ceil(wait / 1000);
+  }
+  return 0;
+};
+
+// give back the attempt of a good login: the account starts over, the ip only
+// gets its one attempt back as others may share it. an admin unlock passes
+// just the account
+export const clearAttempts = async (scope, { account, ip }) => {
+  for (const { key, account: isAccount } of keysFor(scope, { account, ip })) {
+    if (isAccount) {
+      await store.delete(key);
+    } else {
+      await store.update(
+        key,
+        (entry = { failures: 0 }) => ({
+          ...entry,
+          failures: Math.max(entry.failures - 1, 0),
+        }),
+        ttlOf(POLICIES[scope])
+      );
+    }
+  }
+};
+
+// accounts that are locked right now, keyed by lowercased email
+export const lockedAccounts = async (scope) => {
+  const prefix = `${scope}:account:`;
+  const locked = {};
+  for (const { key, value } of await store.list(prefix)) {
+    if (value.lockedUntil > Date.now()) {
+      locked[key.slice(prefix.length)] = new Date(value.lockedUntil);
+    }
+  }
+  return locked;
+};
@@ -1,4 +1,5 @@
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 
 export const hashPassword = async (password) => {
     try {
@@ -13,4 +14,14 @@ export const hashPassword = async (password) => {
 
 export const comparePassword = async (password,hashedPassword) => {
     return bcrypt.compare(password, hashedPassword);
-}
\ No newline at end of file
+}
+
+// random token for links sent by mail, only its hash goes in the database
+export const createToken = () => {
+    const token = crypto.randomBytes(32).toString("hex");
+    return { token, tokenHash: hashToken(token) };
+};
+
+export const hashToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
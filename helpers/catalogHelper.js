@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import { ValidationError } from "./errorHelper.js";
+import { descendantIds } from "./categoryHelper.js";
+
+// how many price ranges are worked out from the catalogue
+const PRICE_RANGE_COUNT = 5;
+
+export const CATALOG_SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  popular: { ratingCount: -1, ratingAverage: -1 },
+};
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const isTrue = (value) => ["true", "1"].includes(value);
+
+// the filters of a catalogue query by name, kept apart so every facet can be
+// counted without its own filter. categories come comma separated and stand
+// for their subcategories too
+export const catalogFilters = async (query) => {
+  const filters = {};
+  if (query.categories) {
+    const ids = query.categories.split(",").filter(Boolean);
+    if (ids.some((id) => !OBJECT_ID.test(id))) {
+      const message = "Categories must be valid ids";
+      throw new ValidationError(message, [
+        { field: "query.categories", message },
+      ]);
+    }
+    // aggregations do not cast, so the ids are made ObjectIds here
+    const categories = (await descendantIds(ids)).map(
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+    filters.category = { category: { $in: categories } };
+  }
+  const price = {};
+  if (query.minPrice !== undefined) price.$gte = Number(query.minPrice);
+  if (query.maxPrice !== undefined) price.$lte = Number(query.maxPrice);
+  if (Object.keys(price).length) filters.price = { price };
+  if (isTrue(query.inStock)) filters.inStock = { quantity: { $gt: 0 } };
+  if (isTrue(query.shipping)) filters.shipping = { shipping: true };
+  if (query.rating) {
+    filters.rating = { ratingAverage: { $gte: Number(query.rating) } };
+  }
+  return filters;
+};
+
+// one match for every filter but the one left out
+export const matchFilters = (filters, except) => ({
+  $and: [
+    {},
+    ...Object.entries(filters)
+      .filter(([name]) => name !== except)
+      .map(([, filter]) => filter),
+  ],
+});
+
+// price ranges set by the shop instead of worked out, the lower end of each
+// in order, e.g. PRICE_RANGES=0,25,50,100
+const configuredBoundaries = () => {
+  const boundaries = (process.env.PRICE_RANGES || "")
+    .split(",")
+    .filter((value) => value.trim())
+    .map(Number);
+  const valid = boundaries.every(
+    (boundary, i) => boundary >= 0 && (i === 0 || boundary > boundaries[i - 1])
+  );
+  if (boundaries.length && valid) return boundaries;
+};
+
+// a price rounded down to two significant figures, 37.5 is 37, 1234 is 1200
+const roundDown = (price) => {
+  if (!(price > 0)) return 0;
+  const step = 10 ** (Math.floor(Math.log10(price)) - 1);
+  return Number((Math.floor(price / step) * step).toPrecision(2));
+};
+
+// the lower end of every price range, the last range has no upper end. unless
+// the shop sets them, they split the products the match finds into ranges of
+// about the same size
+export const priceBoundaries = async (match) => {
+  const configured = configuredBoundaries();
+  if (configured) return configured;
+  const buckets = await productModel.aggregate([
+    { $match: match },
+    { $bucketAuto: { groupBy: "$price", buckets: PRICE_RANGE_COUNT } },
+  ]);
+  return [...new Set(buckets.map(({ _id }) => roundDown(_id.min)))];
+};
+
+// the $facet pipelines for the lowest and highest price and the number of
+// products in every range
+export const priceFacets = (match, boundaries) => {
+  const facets = {
+    priceRange: [
+      { $match: match },
+      {
+        $group: { _id: null, min: { $min: "$price" }, max: { $max: "$price" } },
+      },
+    ],
+  };
+  if (boundaries.length) {
+    facets.prices = [
+      { $match: match },
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: [...boundaries, Number.MAX_VALUE],
+          // below the lowest range set by the shop, not shown
+          default: "below",
+        },
+      },
+    ];
+  }
+  return facets;
+};
+
+// the price ranges with the number of products in each, max is the last
+// cent below the next range. min and max are the lowest and highest price
+export const priceSummary = (facets, boundaries) => {
+  const counts = Object.fromEntries(
+    (facets.prices || []).map(({ _id, count }) => [_id, count])
+  );
+  return {
+    ranges: boundaries.map((min, i) => ({
+      min,
+      max:
+        i < boundaries.length - 1
+          ? Math.round((boundaries[i + 1] - 0.01) * 100) / 100
+          : null,
+      count: counts[min] || 0,
+    })),
+    min: facets.priceRange[0]?.min ?? 0,
+    max: facets.priceRange[0]?.max ?? 0,
+  };
+};
@@ -0,0 +1,50 @@
+import categoryModel from "../models/categoryModel.js";
+import { BadRequestError, NotFoundError } from "./errorHelper.js";
+
+// ids of the given categories and of every category below them. the whole
+// tree is small, so it is walked in memory instead of query by query
+export const descendantIds = async (ids) => {
+  const categories = await categoryModel.find({}).select("parent");
+  const children = {};
+  categories.forEach(({ _id, parent }) => {
+    if (!parent) return;
+    children[parent] = [...(children[parent] || []), String(_id)];
+  });
+  const found = [...new Set([].concat(ids).map(String))];
+  for (let i = 0; i < found.length; i++) {
+    (children[found[i]] || []).forEach((id) => {
+      if (!found.includes(id)) found.push(id);
+    });
+  }
+  return found;
+};
+
+// the category and the ones above it, the top level category first
+export const categoryPath = async (category) => {
+  const path = [];
+  let current = category;
+  // a cycle can only come from bad data, stop rather than loop forever
+  while (current && !path.some(({ _id }) => _id.equals(current._id))) {
+    path.unshift({ _id: current._id, name: current.name, slug: current.slug });
+    current =
+      current.parent &&
+      (await categoryModel.findById(current.parent).select("name slug parent"));
+  }
+  return path;
+};
+
+// check the parent picked for a category, returns its id or null for a top
+// level category
+export const checkParent = async (id, parentId) => {
+  if (!parentId) return null;
+  const parent = await categoryModel.findById(parentId).select("_id");
+  if (!parent) {
+    throw new NotFoundError("Parent category not found");
+  }
+  if (id && (await descendantIds(id)).includes(String(parentId))) {
+    throw new BadRequestError(
+      "A category cannot be placed under itself or one of its subcategories"
+    );
+  }
+  return parent._id;
+};
@@ -0,0 +1,83 @@
+import couponModel from "../models/couponModel.js";
+import { descendantIds } from "./categoryHelper.js";
+import { BadRequestError } from "./errorHelper.js";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// check a code against the priced cart lines and work out the discount.
+// returns { coupon, discount } or throws with a message for the buyer
+export const evaluateCoupon = async ({ code, items, total, userId }) => {
+  const coupon = await couponModel.findOne({
+    code: String(code || "")
+      .trim()
+      .toUpperCase(),
+  });
+  if (!coupon || !coupon.active) {
+    throw new BadRequestError("Coupon code is not valid");
+  }
+  if (coupon.expiresAt && coupon.expiresAt < new Date()) {
+    throw new BadRequestError("Coupon has expired");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new BadRequestError("Coupon has reached its usage limit");
+  }
+  if (
+    coupon.perUserLimit &&
+    (coupon.usedBy?.get(String(userId)) || 0) >= coupon.perUserLimit
+  ) {
+    throw new BadRequestError("You have already used this coupon");
+  }
+  if (total < coupon.minCartTotal) {
+    throw new BadRequestError(
+      `Cart total must be at least ${coupon.minCartTotal} to use this coupon`
+    );
+  }
+
+  // a coupon for a category covers its subcategories too
+  const categories = coupon.category
+    ? await descendantIds(coupon.category)
+    : [];
+  const eligible = items
+    .filter(
+      (item) => !coupon.category || categories.includes(String(item.category))
+    )
+    .reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  if (!eligible) {
+    throw new BadRequestError("Coupon does not apply to any item in your cart");
+  }
+  const discount =
+    coupon.type === "percentage"
+      ? (eligible * Math.min(coupon.value, 100)) / 100
+      : Math.min(coupon.value, eligible);
+
+  return { coupon, discount: roundMoney(discount) };
+};
+
+// count one use of the coupon by the user, only while it is under both its
+// limits. the limits are part of the update so parallel checkouts cannot
+// take the same last use
+export const claimCoupon = async (coupon, userId) => {
+  const used = `usedBy.${userId}`;
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) filter.usedCount = { $lt: coupon.usageLimit };
+  if (coupon.perUserLimit) {
+    filter[used] = { $not: { $gte: coupon.perUserLimit } };
+  }
+  const claimed = await couponModel.findOneAndUpdate(filter, {
+    $inc: { usedCount: 1, [used]: 1 },
+  });
+  return !!claimed;
+};
+
+// give back a use taken by claimCoupon when the sale does not go through or
+// the order is cancelled. uses from before they were counted per user are
+// never taken below 0
+export const releaseCoupon = async (coupon, userId) => {
+  const less = (field) => ({
+    $max: [{ $subtract: [{ $ifNull: [`$${field}`, 0] }, 1] }, 0],
+  });
+  const used = `usedBy.${userId}`;
+  await couponModel.updateOne({ _id: coupon._id }, [
+    { $set: { usedCount: less("usedCount"), [used]: less(used) } },
+  ]);
+};
@@ -0,0 +1,77 @@
+// errors controllers throw on purpose, the error handler in server.js turns
+// them into the { success: false, error: { code, message, details } } body
+export class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 400, code: "BAD_REQUEST", details });
+  }
+}
+
+// details lists the failed fields as { field, message }
+export class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 400, code: "VALIDATION_ERROR", details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Please login to continue", details) {
+    super(message, { status: 401, code: "UNAUTHORIZED", details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "UnAuthorized Access", details) {
+    super(message, { status: 403, code: "FORBIDDEN", details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", details) {
+    super(message, { status: 404, code: "NOT_FOUND", details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 409, code: "CONFLICT", details });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, {
+      status: 429,
+      code: "TOO_MANY_REQUESTS",
+      details: { retryAfter },
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// the payment gateway refused or failed
+export class PaymentError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 502, code: "PAYMENT_ERROR", details });
+  }
+}
+
+// express 4 does not catch rejected promises, pass them on to the handler
+export const asyncHandler = (controller) => (req, res, next) =>
+  Promise.resolve(controller(req, res, next)).catch(next);
+
+// the success half of the envelope
+export const sendData = (res, data, status = 200) =>
+  res.status(status).send({ success: true, data });
@@ -0,0 +1,88 @@
+import fs from "fs";
+import sharp from "sharp";
+import productImageModel from "../models/productImageModel.js";
+import { ValidationError } from "./errorHelper.js";
+
+// a product can carry at most this many images
+export const MAX_PRODUCT_IMAGES = 10;
+
+// longest side of each generated size, the original is kept as uploaded
+export const IMAGE_SIZES = { thumbnail: 150, medium: 600 };
+
+// served for products that have no photo at all
+export const PLACEHOLDER_IMAGE = {
+  data: Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="600" viewBox="0 0 600 600">
+  <rect width="600" height="600" fill="#e9ecef"/>
+  <text x="300" y="300" fill="#6c757d" font-family="sans-serif" font-size="40" text-anchor="middle" dominant-baseline="middle">No Image</text>
+</svg>`
+  ),
+  contentType: "image/svg+xml",
+};
+
+// the leading bytes of every image type we accept
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+];
+
+// work out the image type from the file itself, the browser supplied type
+// is whatever the client says it is. returns undefined for anything else
+export const sniffImageType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, i) => buffer[i] === byte)
+  );
+  if (match) return match.type;
+  // webp is a RIFF container: "RIFF" <size> "WEBP"
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+};
+
+// check an upload and build every size of it
+export const processImage = async (buffer) => {
+  const contentType = sniffImageType(buffer);
+  if (!contentType) {
+    throw new ValidationError("Images must be JPEG, PNG, GIF or WebP files");
+  }
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    const image = {
+      original: { data: buffer, contentType, width, height },
+    };
+    for (const [size, side] of Object.entries(IMAGE_SIZES)) {
+      image[size] = {
+        data: await sharp(buffer)
+          .rotate()
+          .resize(side, side, { fit: "inside", withoutEnlargement: true })
+          .webp()
+          .toBuffer(),
+        contentType: "image/webp",
+      };
+    }
+    return image;
+  } catch (error) {
+    throw new ValidationError("Image could not be read");
+  }
+};
+
+// store the uploaded files of a product in order, returns the new image ids
+export const saveProductImages = async (productId, files) => {
+  const images = [];
+  for (const file of files) {
+    const image = await processImage(fs.readFileSync(file.path));
+    images.push({ ...image, product: productId });
+  }
+  const saved = await productImageModel.insertMany(images);
+  return saved.map((image) => image._id);
+};
+
+// uploads of one form field, formidable gives one file or a list of them
+export const uploadedFiles = (files, field) => [].concat(files?.[field] || []);
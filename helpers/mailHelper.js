@@ -0,0 +1,34 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// transports take { to, subject, text } and deliver the message.
+// "console" and "file" are for development, a real provider can be
+// plugged in with registerMailTransport and selected with MAIL_TRANSPORT
+const transports = {
+  console: async ({ to, subject, text }) => {
+    console.log(`Mail to ${to}\nSubject: ${subject}\n\n${text}`);
+  },
+  file: async ({ to, subject, text }) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "ecom-mail");
+    await fs.mkdir(dir, { recursive: true });
+    // the address is only written inside, it is not safe as a file name
+    const file = path.join(dir, `${Date.now()}-${randomUUID()}.txt`);
+    await fs.writeFile(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    console.log(`Mail to ${to} written to ${file}`);
+  },
+};
+
+export const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport ${name}`);
+  }
+  await transport(message);
+};
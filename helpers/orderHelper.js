@@ -0,0 +1,352 @@
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import orderModel from "../models/orderModel.js";
+import { releaseCoupon } from "./couponHelper.js";
+import { reverseTransaction } from "./paymentHelper.js";
+import { findVariant, variantLine } from "./variantHelper.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "./errorHelper.js";
+
+// merge the cart posted by the browser into one line per product variant
+const mergeCartLines = (cart = []) => {
+  const lines = new Map();
+  cart.forEach((item) => {
+    const id = String(item?._id || item?.product || "");
+    const variant = String(item?.variant?._id || item?.variant || "");
+    const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+    const key = `${id}:${variant}`;
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += quantity;
+    } else {
+      lines.set(key, { product: id, variant, quantity });
+    }
+  });
+  return [...lines.values()];
+};
+
+// re-read every cart product from the database and price the order from it,
+// never from what the client sent
+export const priceCart = async (cart) => {
+  const lines = mergeCartLines(cart);
+  const ids = lines
+    .map((line) => line.product)
+    .filter((id) => mongoose.isValidObjectId(id));
+  const products = await productModel
+    .find({ _id: { $in: ids } })
+    .select("-photo");
+
+  const errors = [];
+  const items = [];
+  let total = 0;
+  lines.forEach((line) => {
+    const product = products.find((p) => String(p._id) === line.product);
+    // products sold in variants are priced and stocked per variant
+    const variant = findVariant(product, line.variant);
+    const stock = variant || product;
+    const error = {
+      product: line.product,
+      variant: line.variant || undefined,
+      name: product?.name,
+      requested: line.quantity,
+      available: stock?.quantity || 0,
+    };
+    if (!product) {
+      errors.push({ ...error, reason: "Product no longer exists" });
+    } else if (product.variants.length ? !variant : line.variant) {
+      errors.push({
+        ...error,
+        reason: line.variant
+          ? "Variant no longer exists"
+          : "Choose an option first",
+      });
+    } else if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      errors.push({ ...error, reason: "Invalid quantity" });
+    } else if (stock.quantity < line.quantity) {
+      errors.push({ ...error, reason: "Not enough stock" });
+    } else {
+      items.push({
+        product: product._id,
+        name: product.name,
+        ...(variant && variantLine(variant)),
+        quantity: line.quantity,
+        unitPrice: stock.price,
+        // used for coupon category rules, not stored on the order line
+        category: product.category,
+      });
+      total += stock.price * line.quantity;
+    }
+  });
+
+  return { items, total, errors };
+};
+
+// the update that takes (or with a negative count gives back) stock for an
+// order line, the variant stock moves with the product total
+const stockUpdate = (item, count) =>
+  item.variant
+    ? { $inc: { quantity: -count, "variants.$.quantity": -count } }
+    : { $inc: { quantity: -count } };
+
+// put stock back for the given order lines
+export const releaseStock = async (items) => {
+  await Promise.all(
+    items.map((item) =>
+      productModel.updateOne(
+        item.variant
+          ? { _id: item.product, "variants._id": item.variant }
+          : { _id: item.product },
+        stockUpdate(item, -item.quantity)
+      )
+    )
+  );
+};
+
+// take stock for every line, only while enough is left. if any line cannot
+// be reserved the ones already taken are put back and the failures returned
+export const reserveStock = async (items) => {
+  const reserved = [];
+  const errors = [];
+  for (const item of items) {
+    const product = await productModel
+      .findOneAndUpdate(
+        item.variant
+          ? {
+              _id: item.product,
+              variants: {
+                $elemMatch: {
+                  _id: item.variant,
+                  quantity: { $gte: item.quantity },
+                },
+              },
+            }
+          : { _id: item.product, quantity: { $gte: item.quantity } },
+        stockUpdate(item, item.quantity),
+        { new: true }
+      )
+      .select("-photo");
+    if (product) {
+      reserved.push(item);
+    } else {
+      errors.push({
+        product: String(item.product),
+        variant: item.variant ? String(item.variant) : undefined,
+        requested: item.quantity,
+        reason: "Not enough stock",
+      });
+    }
+  }
+  if (errors.length) await releaseStock(reserved);
+  return errors;
+};
+
+// the statuses each order status may move to next
+export const ORDER_TRANSITIONS = {
+  "Not Process": ["Processing", "cancel"],
+  Processing: ["Shipped", "cancel"],
+  Shipped: ["deliverd"],
+  deliverd: [],
+  cancel: [],
+};
+
+// carriers the shop ships with, buyers get a tracking link for each
+export const SHIPPING_CARRIERS = ["UPS", "FedEx", "USPS", "DHL"];
+
+// check the shipment details an admin sends when an order is shipped and
+// return the fields to store
+const shipmentFields = ({
+  carrier,
+  trackingNumber,
+  shippedAt,
+  estimatedDelivery,
+} = {}) => {
+  if (!SHIPPING_CARRIERS.includes(carrier)) {
+    throw new ValidationError(
+      `Carrier must be one of ${SHIPPING_CARRIERS.join(", ")}`
+    );
+  }
+  if (!String(trackingNumber || "").trim()) {
+    throw new ValidationError("Tracking number is required");
+  }
+  const shipped = shippedAt ? new Date(shippedAt) : new Date();
+  const estimated = estimatedDelivery ? new Date(estimatedDelivery) : undefined;
+  if (isNaN(shipped) || (estimated && isNaN(estimated))) {
+    throw new ValidationError("Shipment dates are not valid");
+  }
+  if (estimated && estimated < shipped) {
+    throw new ValidationError(
+      "Estimated delivery cannot be before the shipped date"
+    );
+  }
+  return {
+    carrier,
+    trackingNumber: String(trackingNumber).trim(),
+    shippedAt: shipped,
+    estimatedDelivery: estimated,
+  };
+};
+
+// orders in these states have not left the warehouse and can still be cancelled
+export const CANCELLABLE_STATUSES = Object.keys(ORDER_TRANSITIONS).filter(
+  (status) => ORDER_TRANSITIONS[status].includes("cancel")
+);
+
+// run a step of a cancel at most once: mark it done on the order first, and
+// take the mark back if the step fails so running the cancel again retries it
+const cancelStep = async (orderId, claimed, mark, unmark, step) => {
+  const { modifiedCount } = await orderModel.updateOne(
+    { _id: orderId, ...claimed },
+    mark
+  );
+  if (!modifiedCount) return;
+  try {
+    await step();
+  } catch (error) {
+    await orderModel.updateOne({ _id: orderId }, unmark);
+    throw error;
+  }
+};
+
+// give back the stock of every line and the coupon use of a refunded order,
+// line by line, skipping what an earlier try already gave back
+const finishCancellation = async (order) => {
+  for (const line of order.products) {
+    await cancelStep(
+      order._id,
+      { "cancellation.restocked": { $ne: line._id } },
+      { $push: { "cancellation.restocked": line._id } },
+      { $pull: { "cancellation.restocked": line._id } },
+      () => releaseStock([line])
+    );
+  }
+  if (order.discount?.coupon) {
+    await cancelStep(
+      order._id,
+      { "cancellation.couponReleased": { $ne: true } },
+      { "cancellation.couponReleased": true },
+      { "cancellation.couponReleased": false },
+      () => releaseCoupon({ _id: order.discount.coupon }, order.buyer)
+    );
+  }
+  return orderModel.findByIdAndUpdate(
+    order._id,
+    { "cancellation.finished": true },
+    { new: true }
+  );
+};
+
+// cancel an order: claim it so it cannot be cancelled twice, give the money
+// back through the gateway, then restock its items and return the coupon use.
+// once refunded the order stays cancelled, if giving things back fails the
+// order is returned unfinished and cancelling it again finishes the job.
+// resolves with the cancelled order or throws why it could not be cancelled
+export const cancelOrder = async (filter, { by, reason }) => {
+  const order = await orderModel.findOneAndUpdate(
+    { ...filter, status: { $in: CANCELLABLE_STATUSES } },
+    {
+      status: "cancel",
+      $push: { statusHistory: { status: "cancel", by, at: new Date() } },
+    }
+  );
+  if (!order) {
+    const unfinished = await orderModel.findOne({
+      ...filter,
+      status: "cancel",
+      "cancellation.finished": false,
+    });
+    if (unfinished) return finishCancellation(unfinished);
+    const exists = await orderModel.exists(filter);
+    if (exists) throw new BadRequestError("Order can no longer be cancelled");
+    throw new NotFoundError("Order not found");
+  }
+
+  let refund;
+  try {
+    const transactionId = order.payment?.transaction?.id;
+    if (transactionId) {
+      refund = await reverseTransaction(transactionId);
+      if (!refund.success) throw new Error(refund.message);
+    }
+  } catch (error) {
+    console.log(error);
+    await orderModel.updateOne(
+      { _id: order._id },
+      { status: order.status, $pop: { statusHistory: 1 } }
+    );
+    throw new PaymentError("Payment could not be refunded");
+  }
+
+  // kept before anything else can fail, the refund cannot be taken back
+  const cancelled = await orderModel.findByIdAndUpdate(
+    order._id,
+    {
+      cancellation: {
+        by,
+        reason,
+        at: new Date(),
+        refund: refund && {
+          id: refund.transaction?.id,
+          type: refund.transaction?.type,
+          status: refund.transaction?.status,
+          amount: refund.transaction?.amount,
+        },
+        restocked: [],
+        finished: false,
+      },
+    },
+    { new: true }
+  );
+  try {
+    return await finishCancellation(cancelled);
+  } catch (error) {
+    console.log(error);
+    return cancelled;
+  }
+};
+
+// move an order to its next status, refusing any move ORDER_TRANSITIONS does
+// not allow. cancelling goes through cancelOrder so the payment is reversed,
+// shipping needs the carrier and tracking number
+export const changeOrderStatus = async (
+  orderId,
+  status,
+  { by, reason, shipment }
+) => {
+  if (!Object.keys(ORDER_TRANSITIONS).includes(status)) {
+    throw new ValidationError("Invalid order status");
+  }
+  if (status === "cancel") {
+    return cancelOrder({ _id: orderId }, { by, reason });
+  }
+  const current = await orderModel.findById(orderId).select("status");
+  if (!current) {
+    throw new NotFoundError("Order not found");
+  }
+  if (!ORDER_TRANSITIONS[current.status]?.includes(status)) {
+    throw new BadRequestError(
+      `Order cannot move from ${current.status} to ${status}`
+    );
+  }
+  const update = {
+    status,
+    $push: { statusHistory: { status, by, at: new Date() } },
+  };
+  if (status === "Shipped") {
+    update.shipment = shipmentFields(shipment);
+  }
+  // match the status read above so two admins cannot both move it
+  const order = await orderModel.findOneAndUpdate(
+    { _id: orderId, status: current.status },
+    update,
+    { new: true }
+  );
+  if (!order) {
+    throw new ConflictError("Order status was changed by someone else");
+  }
+  return order;
+};
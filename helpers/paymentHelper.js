@@ -0,0 +1,31 @@
+import braintree from "braintree";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+//payment gateway
+export const gateway = new braintree.BraintreeGateway({
+  environment: braintree.Environment.Sandbox,
+  merchantId: process.env.BRAINTREE_MERCHANT_ID,
+  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
+  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+});
+
+// transactions in these states have not gone to the bank yet and can be
+// voided. from SettlementPending on they can only be refunded
+const VOIDABLE_STATUSES = [
+  braintree.Transaction.Status.Authorized,
+  braintree.Transaction.Status.SubmittedForSettlement,
+];
+
+// give the buyer their money back: void the sale while it is still unsettled,
+// refund it otherwise. resolves with the gateway result
+export const reverseTransaction = async (transactionId) => {
+  const transaction = await gateway.transaction.find(transactionId);
+  if (VOIDABLE_STATUSES.includes(transaction.status)) {
+    const result = await gateway.transaction.void(transactionId);
+    // it may have moved on to settlement since it was looked up
+    if (result.success) return result;
+  }
+  return gateway.transaction.refund(transactionId);
+};
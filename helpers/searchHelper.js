@@ -0,0 +1,11 @@
+// escape user input so it is matched literally inside a RegExp
+export const escapeRegex = (text = "") =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// the words of a search as a $text query. quotes and a leading minus mean
+// phrases and exclusions to mongo, here they are taken as plain text
+export const textSearch = (text = "") =>
+  String(text)
+    .replace(/["\\]/g, " ")
+    .replace(/(^|\s)-+/g, "$1")
+    .trim();
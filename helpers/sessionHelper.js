@@ -0,0 +1,78 @@
+import JWT from "jsonwebtoken";
+import sessionModel from "../models/sessionModel.js";
+import { createToken, hashToken } from "./authHelper.js";
+import { UnauthorizedError } from "./errorHelper.js";
+
+// access tokens are short lived, the refresh token keeps the session going
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const accessToken = (session) =>
+  JWT.sign({ _id: session.user, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// start a session for a user who just logged in
+export const createSession = async (userId, userAgent) => {
+  const { token, tokenHash } = createToken();
+  const session = await new sessionModel({
+    user: userId,
+    tokenHash,
+    userAgent,
+    expiresAt: refreshExpiry(),
+  }).save();
+  return { token: accessToken(session), refreshToken: token };
+};
+
+// swap a refresh token for a new access and refresh token pair.
+// resolves with { token, refreshToken, user }
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const next = createToken();
+  const session = await sessionModel.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      tokenHash: next.tokenHash,
+      previousTokenHash: tokenHash,
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+  if (!session) {
+    // an old token coming back means someone else holds the session
+    await sessionModel.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    throw new UnauthorizedError("Session expired, please login again");
+  }
+  return {
+    token: accessToken(session),
+    refreshToken: next.token,
+    user: session.user,
+  };
+};
+
+export const revokeSession = async (refreshToken) => {
+  await sessionModel.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+export const revokeAllSessions = async (userId) => {
+  await sessionModel.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+export const isSessionActive = async (sessionId) =>
+  !!(await sessionModel.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }));
@@ -0,0 +1,136 @@
+import { ValidationError } from "./errorHelper.js";
+
+// a product comes in at most this many options, e.g. size and colour
+export const MAX_OPTIONS = 3;
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const invalid = (message) =>
+  new ValidationError(message, [{ field: "fields.variants", message }]);
+
+// the multipart form cannot nest, so options and variants arrive as json
+const parseList = (value, label) => {
+  if (value === undefined || value === "") return [];
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (error) {
+    list = undefined;
+  }
+  if (!Array.isArray(list)) throw invalid(`${label} must be a list`);
+  return list;
+};
+
+const checkOptions = (list) => {
+  if (list.length > MAX_OPTIONS) {
+    throw invalid(`A product can have at most ${MAX_OPTIONS} options`);
+  }
+  const options = list.map((option) => ({
+    name: String(option?.name || "").trim(),
+    values: [
+      ...new Set(
+        (Array.isArray(option?.values) ? option.values : [])
+          .map((value) => String(value).trim())
+          .filter(Boolean)
+      ),
+    ],
+  }));
+  options.forEach(({ name, values }) => {
+    if (!name) throw invalid("Every option needs a name");
+    // the names are keys of the variant options map, which cannot hold them
+    if (name.includes(".") || name.startsWith("$")) {
+      throw invalid(
+        `${name} : Option names cannot contain "." or start with "$"`
+      );
+    }
+    if (!values.length) throw invalid(`${name} needs at least one value`);
+  });
+  if (new Set(options.map(({ name }) => name)).size !== options.length) {
+    throw invalid("Option names must be different");
+  }
+  return options;
+};
+
+const checkVariant = (variant, options, current) => {
+  const sku = String(variant?.sku || "").trim();
+  const price = Number(variant?.price);
+  // an existing variant sent without its stock keeps the stock it has now
+  const kept =
+    variant?.quantity === undefined &&
+    current.find(({ _id }) => String(_id) === String(variant?._id));
+  const quantity = Number(kept ? kept.quantity : variant?.quantity);
+  const chosen = variant?.options || {};
+  if (!sku) throw invalid("Every variant needs a SKU");
+  if (!(price > 0)) throw invalid(`${sku} : Price must be greater than 0`);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw invalid(`${sku} : Quantity must be a whole number, 0 or more`);
+  }
+  if (Object.keys(chosen).length !== options.length) {
+    throw invalid(`${sku} : Choose a value for every option`);
+  }
+  options.forEach(({ name, values }) => {
+    if (!values.includes(chosen[name])) {
+      throw invalid(`${sku} : ${name} must be one of ${values.join(", ")}`);
+    }
+  });
+  const fields = {
+    sku,
+    price,
+    quantity,
+    options: Object.fromEntries(
+      options.map(({ name }) => [name, chosen[name]])
+    ),
+    image: variant?.image || undefined,
+  };
+  if (fields.image && !OBJECT_ID.test(fields.image)) {
+    throw invalid(`${sku} : Image is not valid`);
+  }
+  // keep the id of an existing variant so carts holding it stay valid
+  if (OBJECT_ID.test(variant?._id || "")) fields._id = variant._id;
+  return fields;
+};
+
+// check the options and variants sent with a product form and return them
+// ready to store. current are the variants the product has now, if any
+export const variantFields = ({ options, variants }, current = []) => {
+  const optionList = checkOptions(parseList(options, "Options"));
+  const variantList = parseList(variants, "Variants");
+  if (!optionList.length) {
+    if (variantList.length) throw invalid("Variants need at least one option");
+    return { options: [], variants: [] };
+  }
+  if (!variantList.length) throw invalid("Add at least one variant");
+  const checked = variantList.map((variant) =>
+    checkVariant(variant, optionList, current)
+  );
+  if (new Set(checked.map(({ sku }) => sku)).size !== checked.length) {
+    throw invalid("Every variant needs a different SKU");
+  }
+  const combinations = checked.map(({ options }) =>
+    JSON.stringify(Object.values(options))
+  );
+  if (new Set(combinations).size !== combinations.length) {
+    throw invalid("Two variants have the same options");
+  }
+  return { options: optionList, variants: checked };
+};
+
+// the price and stock of a product that is sold in variants
+export const variantSummary = (variants) => ({
+  price: Math.min(...variants.map(({ price }) => price)),
+  quantity: variants.reduce((sum, { quantity }) => sum + quantity, 0),
+});
+
+// the variant of a product with the given id
+export const findVariant = (product, variantId) =>
+  product?.variants?.find(({ _id }) => String(_id) === String(variantId));
+
+// the variant part of a cart or order line
+export const variantLine = (variant) => ({
+  variant: variant._id,
+  sku: variant.sku,
+  options:
+    variant.options instanceof Map
+      ? Object.fromEntries(variant.options)
+      : variant.options || {},
+});
@@ -1,38 +1,40 @@
 import JWT from "jsonwebtoken";
 import userModel from "../models/userModel.js";
+import { isSessionActive } from "../helpers/sessionHelper.js";
+import {
+  ForbiddenError,
+  UnauthorizedError,
+  asyncHandler,
+} from "../helpers/errorHelper.js";
 
 // Protected routes token base
-export const requireSignIn = async (req, res, next) => {
-    try {
-        const decode = JWT.verify(
-            req.headers.authorization,
-            process.env.JWT_SECRET
-        );
-        req.user = decode;
-        next();
-    } catch (error) {
-        console.log(error);
-    }
-};
+export const requireSignIn = asyncHandler(async (req, res, next) => {
+  let decode;
+  try {
+    decode = JWT.verify(req.headers.authorization, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError(
+      error.name === "TokenExpiredError"
+        ? "Session expired"
+        : "Please login to continue"
+    );
+  }
+  if (!decode.sid || !(await isSessionActive(decode.sid))) {
+    throw new UnauthorizedError("Session expired");
+  }
+  const user = await userModel.findById(decode._id).select("disabled");
+  if (!user || user.disabled) {
+    throw new ForbiddenError("Account is disabled");
+  }
+  req.user = decode;
+  next();
+});
 
 //admin access
-export const isAdmin = async (req, res, next) => {
-    try {
-        const user = await userModel.findById(req.user._id);
-        if(user.role !== 1) {
-            return res.status(401).send({
-                success: false,
-                message: "UnAuthorized Access",
-            });
-        } else {
-            next();
-        }
-    } catch (error) {
-        console.log(error);
-        res.status(401).send({
-            success: false,
-            error,
-            message: "Error in admin middleware",
-        });
-    }
-};
\ No newline at end of file
+export const isAdmin = asyncHandler(async (req, res, next) => {
+  const user = await userModel.findById(req.user._id);
+  if (user?.role !== 1) {
+    throw new ForbiddenError("UnAuthorized Access");
+  }
+  next();
+});
\ No newline at end of file
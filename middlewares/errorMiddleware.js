@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../helpers/errorHelper.js";
+
+// map errors thrown by mongoose and express onto application errors
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`${error.path} is not valid`, [
+      { field: error.path, message: `${error.path} is not valid` },
+    ]);
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    }));
+    return new ValidationError(details[0]?.message, details);
+  }
+  if (error?.code === 11000) {
+    return new ConflictError("Already exists", error.keyValue);
+  }
+  if (error?.type === "entity.parse.failed") {
+    return new BadRequestError("Request body is not valid JSON");
+  }
+  console.log(error);
+  return new AppError("Something went wrong");
+};
+
+// unknown api routes
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`));
+};
+
+export const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status).send({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    },
+  });
+};
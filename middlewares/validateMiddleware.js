@@ -0,0 +1,138 @@
+import { ValidationError } from "../helpers/errorHelper.js";
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[0-9\s\-()]{7,20}$/;
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+// form fields and query strings are always strings, so they spell booleans out
+const FORM_BOOLEANS = ["true", "false", "1", "0"];
+
+const labelOf = (field, rule) =>
+  rule.label || field.charAt(0).toUpperCase() + field.slice(1);
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+// check one value against its rule, returns an error message or undefined
+const checkValue = (value, rule, label, location) => {
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "phone":
+      if (typeof value !== "string") return `${label} must be text`;
+      if (rule.minLength && value.trim().length < rule.minLength)
+        return `${label} must be at least ${rule.minLength} characters`;
+      if (rule.maxLength && value.length > rule.maxLength)
+        return `${label} must be at most ${rule.maxLength} characters`;
+      if (rule.type === "email" && !EMAIL.test(value))
+        return `${label} must be a valid email`;
+      if (rule.type === "phone" && !PHONE.test(value))
+        return `${label} must be a valid phone number`;
+      break;
+    case "number":
+    case "integer": {
+      // form fields arrive as strings
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number))
+        return `${label} must be a number`;
+      if (rule.type === "integer" && !Number.isInteger(number))
+        return `${label} must be a whole number`;
+      if (rule.positive && number <= 0)
+        return `${label} must be greater than 0`;
+      if (rule.min !== undefined && number < rule.min)
+        return `${label} must be ${rule.min} or more`;
+      if (rule.max !== undefined && number > rule.max)
+        return `${label} must be ${rule.max} or less`;
+      break;
+    }
+    case "boolean":
+      if (
+        typeof value !== "boolean" &&
+        !(
+          ["fields", "query"].includes(location) &&
+          FORM_BOOLEANS.includes(value)
+        )
+      )
+        return `${label} must be true or false`;
+      break;
+    case "objectId":
+      if (!OBJECT_ID.test(value)) return `${label} must be a valid id`;
+      break;
+    case "date":
+      if (isNaN(new Date(value))) return `${label} must be a valid date`;
+      break;
+    case "array":
+      if (!Array.isArray(value)) return `${label} must be a list`;
+      if (rule.minLength && value.length < rule.minLength)
+        return `${label} must have at least ${rule.minLength} items`;
+      if (rule.maxLength && value.length > rule.maxLength)
+        return `${label} must have at most ${rule.maxLength} items`;
+      if (rule.length !== undefined && ![0, rule.length].includes(value.length))
+        return `${label} must have ${rule.length} items`;
+      break;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value))
+        return `${label} must be an object`;
+      break;
+    case "file": {
+      // a field sent more than once arrives as a list of files
+      const files = [].concat(value);
+      if (rule.maxCount && files.length > rule.maxCount)
+        return `${label} must have at most ${rule.maxCount} files`;
+      if (rule.maxSize && files.some((file) => file.size > rule.maxSize))
+        return `${label} must be less than ${rule.maxSize / 1000000}mb`;
+      break;
+    }
+  }
+  if (rule.enum && !rule.enum.map(String).includes(String(value))) {
+    return `${label} must be one of ${rule.enum.join(", ")}`;
+  }
+};
+
+// check every rule of one part of the request, pushing { field, message }
+const checkFields = (values, rules, location, errors) => {
+  Object.entries(rules).forEach(([field, rule]) => {
+    const value = values?.[field];
+    const label = labelOf(field, rule);
+    const path = `${location}.${field}`;
+    if (isMissing(value)) {
+      if (rule.required)
+        errors.push({ field: path, message: `${label} is required` });
+      return;
+    }
+    const message = checkValue(value, rule, label, location);
+    if (message) {
+      errors.push({ field: path, message });
+      return;
+    }
+    if (rule.type === "array" && rule.items) {
+      value.forEach((item, i) => {
+        const itemMessage = isMissing(item)
+          ? `${label} cannot have empty items`
+          : checkValue(item, rule.items, label, location);
+        if (itemMessage)
+          errors.push({ field: `${path}.${i}`, message: itemMessage });
+      });
+    }
+    if (rule.type === "object" && rule.fields) {
+      checkFields(value, rule.fields, path, errors);
+    }
+  });
+};
+
+// validate(schema) checks the request before the controller runs. the schema
+// lists rules for params, query, body, fields and files (the last two come
+// from express-formidable), e.g.
+//   validate({ params: { id: { type: "objectId" } } })
+// anything that fails is a ValidationError listing every error found
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  ["params", "query", "body", "fields", "files"].forEach((location) => {
+    if (schema[location]) {
+      checkFields(req[location], schema[location], location, errors);
+    }
+  });
+  if (errors.length) {
+    return next(new ValidationError(errors[0].message, errors));
+  }
+  next();
+};
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.ObjectId,
+          ref: "Products",
+          required: true,
+        },
+        // one of the product variants, unset for products without any
+        variant: {
+          type: mongoose.ObjectId,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+          default: 1,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Cart", cartSchema);
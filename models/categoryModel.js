@@ -3,12 +3,20 @@ import mongoose from "mongoose";
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
-    // required: true,
-    // unique: true,
+    required: true,
+    unique: true,
   },
   slug: {
     type: String,
     lowercase: true,
+    unique: true,
+  },
+  // top level categories have no parent
+  parent: {
+    type: mongoose.ObjectId,
+    ref: "Category",
+    default: null,
+    index: true,
   },
 });
 
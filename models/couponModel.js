@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed"],
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    minCartTotal: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // leave empty for no limit
+    usageLimit: {
+      type: Number,
+    },
+    perUserLimit: {
+      type: Number,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    // uses by each buyer, keyed by user id
+    usedBy: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    category: {
+      type: mongoose.ObjectId,
+      ref: "Category",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Coupon", couponSchema);
@@ -4,20 +4,88 @@ const orderSchema = new mongoose.Schema(
   {
     products: [
       {
-        type: mongoose.ObjectId,
-        ref: "Products",
+        product: {
+          type: mongoose.ObjectId,
+          ref: "Products",
+          required: true,
+        },
+        // the name as it was when ordered, the product may be gone later
+        name: String,
+        // the variant bought, kept with its sku and options as they were
+        variant: {
+          type: mongoose.ObjectId,
+        },
+        sku: String,
+        options: {
+          type: Map,
+          of: String,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+          default: 1,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+        },
       },
     ],
+    discount: {
+      coupon: {
+        type: mongoose.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      amount: {
+        type: Number,
+        default: 0,
+      },
+    },
     payment: {},
     buyer: {
       type: mongoose.ObjectId,
       ref: "users",
     },
+    cancellation: {
+      by: {
+        type: mongoose.ObjectId,
+        ref: "users",
+      },
+      reason: String,
+      at: Date,
+      refund: {},
+      // what has been given back after the refund, so a cancel that failed
+      // part way can be run again without giving anything back twice
+      restocked: [mongoose.ObjectId],
+      couponReleased: Boolean,
+      finished: Boolean,
+    },
+    shipment: {
+      carrier: String,
+      trackingNumber: String,
+      shippedAt: Date,
+      estimatedDelivery: Date,
+    },
     status: {
       type: String,
       default: "Not Process",
       enum: ["Not Process", "Processing", "Shipped", "deliverd", "cancel"],
     },
+    statusHistory: [
+      {
+        status: String,
+        by: {
+          type: mongoose.ObjectId,
+          ref: "users",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    // only the sha256 of the token is stored, the token itself is mailed
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// old requests are only kept long enough to rate limit new ones
+passwordResetSchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 });
+
+export default mongoose.model("PasswordReset", passwordResetSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+const imageSize = {
+  data: Buffer,
+  contentType: String,
+};
+
+const productImageSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    original: {
+      ...imageSize,
+      width: Number,
+      height: Number,
+    },
+    thumbnail: imageSize,
+    medium: imageSize,
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ProductImage", productImageSchema);
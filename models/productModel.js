@@ -9,6 +9,12 @@ const productSchema = new mongoose.Schema(
     slug: {
       type: String,
       required: true,
+      unique: true,
+    },
+    // slugs the product had before it was renamed, old links still find it
+    previousSlugs: {
+      type: [String],
+      index: true,
     },
     description: {
       type: String,
@@ -27,15 +33,73 @@ const productSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // single photo from before products had images, still served for
+    // products that have no images yet
     photo: {
       data: Buffer,
       contentType: String,
     },
+    // in display order, the first image is the primary one
+    images: [
+      {
+        type: mongoose.ObjectId,
+        ref: "ProductImage",
+      },
+    ],
     shipping: {
       type: Boolean,
     },
+    // what the product comes in, e.g. { name: "Size", values: ["S", "M"] }
+    options: [
+      {
+        name: String,
+        values: [String],
+      },
+    ],
+    // one entry per combination on sale. when there are variants the
+    // product price is the lowest variant price and quantity their total
+    variants: [
+      {
+        sku: {
+          type: String,
+          required: true,
+        },
+        // option name to value, e.g. { Size: "M", Colour: "Red" }
+        options: {
+          type: Map,
+          of: String,
+        },
+        price: {
+          type: Number,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        image: {
+          type: mongoose.ObjectId,
+          ref: "ProductImage",
+        },
+      },
+    ],
+    ratingAverage: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
 
+// search ranks a match in the name above one in the description
+productSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 } }
+);
+
 export default mongoose.model("Products", productSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    // sha256 of the current refresh token, it changes on every refresh
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // the token it replaced, seeing it again means the token was stolen
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    userAgent: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
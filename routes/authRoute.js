@@ -2,46 +2,106 @@ import express from "express";
 import {
   registerController,
   loginController,
+  refreshTokenController,
+  logoutController,
+  logoutAllController,
   testController,
   forgotPasswordController,
+  resetPasswordController,
   updateProfileController,
   getOrdersController,
   getAllOrdersController,
   orderStatusController,
+  getAllUsersController,
+  getUserController,
+  updateUserRoleController,
+  updateUserStatusController,
+  unlockUserController,
+  cancelOrderController,
 } from "../controllers/authController.js";
 import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validateMiddleware.js";
+import { sendData } from "../helpers/errorHelper.js";
+import {
+  allUsersSchema,
+  cancelOrderSchema,
+  forgotPasswordSchema,
+  loginSchema,
+  logoutSchema,
+  orderStatusSchema,
+  refreshSchema,
+  registerSchema,
+  resetPasswordSchema,
+  updateProfileSchema,
+  userIdSchema,
+  userRoleSchema,
+  userStatusSchema,
+} from "../validators/authValidators.js";
 
 //router object
 const router = express.Router();
 
 //routing
 //REGISTER || METHOD POST
-router.post("/register", registerController);
+router.post("/register", validate(registerSchema), registerController);
 
 //LOGIN || POST
-router.post("/login", loginController);
+router.post("/login", validate(loginSchema), loginController);
+
+//REFRESH TOKEN || POST
+router.post("/refresh", validate(refreshSchema), refreshTokenController);
+
+//LOGOUT || POST
+router.post("/logout", validate(logoutSchema), logoutController);
+
+//LOGOUT ALL DEVICES || POST
+router.post("/logout-all", requireSignIn, logoutAllController);
 
 //Forgot Password || POST
-router.post("/forgot-password", forgotPasswordController);
+router.post(
+  "/forgot-password",
+  validate(forgotPasswordSchema),
+  forgotPasswordController
+);
+
+//Reset Password || POST
+router.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  resetPasswordController
+);
 
 //test routes
 router.get("/test", requireSignIn, isAdmin, testController);
 
 //protected User route auth
 router.get("/user-auth", requireSignIn, (req, res) => {
-  res.status(200).send({ ok: true });
+  sendData(res, { ok: true });
 });
 //protected Admin route auth
 router.get("/admin-auth", requireSignIn, isAdmin, (req, res) => {
-  res.status(200).send({ ok: true });
+  sendData(res, { ok: true });
 });
 
 //update profile
-router.put("/profile", requireSignIn, updateProfileController);
+router.put(
+  "/profile",
+  requireSignIn,
+  validate(updateProfileSchema),
+  updateProfileController
+);
 
 //orders
 router.get("/orders", requireSignIn, getOrdersController);
 
+//cancel own order
+router.put(
+  "/cancel-order/:orderId",
+  requireSignIn,
+  validate(cancelOrderSchema),
+  cancelOrderController
+);
+
 //all orders
 router.get("/all-orders", requireSignIn, isAdmin, getAllOrdersController);
 
@@ -50,7 +110,53 @@ router.put(
   "/order-status/:orderId",
   requireSignIn,
   isAdmin,
+  validate(orderStatusSchema),
   orderStatusController
 );
 
+//all users
+router.get(
+  "/all-users",
+  requireSignIn,
+  isAdmin,
+  validate(allUsersSchema),
+  getAllUsersController
+);
+
+//single user with orders
+router.get(
+  "/user/:id",
+  requireSignIn,
+  isAdmin,
+  validate(userIdSchema),
+  getUserController
+);
+
+//promote or demote user
+router.put(
+  "/user-role/:id",
+  requireSignIn,
+  isAdmin,
+  validate(userRoleSchema),
+  updateUserRoleController
+);
+
+//disable or enable user
+router.put(
+  "/user-status/:id",
+  requireSignIn,
+  isAdmin,
+  validate(userStatusSchema),
+  updateUserStatusController
+);
+
+//unlock account locked by failed logins
+router.put(
+  "/unlock-user/:id",
+  requireSignIn,
+  isAdmin,
+  validate(userIdSchema),
+  unlockUserController
+);
+
 export default router;
\ No newline at end of file
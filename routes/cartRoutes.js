@@ -0,0 +1,71 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  addCartItemController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeCartItemController,
+  updateCartItemController,
+  userCartController,
+} from "../controllers/cartController.js";
+import { validate } from "../middlewares/validateMiddleware.js";
+import {
+  addCartItemSchema,
+  mergeCartSchema,
+  removeCartItemSchema,
+  updateCartItemSchema,
+  userCartSchema,
+} from "../validators/cartValidators.js";
+
+const router = express.Router();
+
+//routes
+//get cart
+router.get("/get-cart", requireSignIn, getCartController);
+
+//add item
+router.post(
+  "/add-item",
+  requireSignIn,
+  validate(addCartItemSchema),
+  addCartItemController
+);
+
+//update item quantity
+router.put(
+  "/update-item/:pid/:vid?",
+  requireSignIn,
+  validate(updateCartItemSchema),
+  updateCartItemController
+);
+
+//remove item
+router.delete(
+  "/remove-item/:pid/:vid?",
+  requireSignIn,
+  validate(removeCartItemSchema),
+  removeCartItemController
+);
+
+//clear cart
+router.delete("/clear-cart", requireSignIn, clearCartController);
+
+//merge guest cart after login
+router.post(
+  "/merge-cart",
+  requireSignIn,
+  validate(mergeCartSchema),
+  mergeCartController
+);
+
+//cart of any user
+router.get(
+  "/user-cart/:userId",
+  requireSignIn,
+  isAdmin,
+  validate(userCartSchema),
+  userCartController
+);
+
+export default router;
@@ -7,6 +7,13 @@ import {
   singleCategoryController,
   updateCategoryController,
 } from "./../controllers/categoryController.js";
+import { validate } from "./../middlewares/validateMiddleware.js";
+import {
+  categorySlugSchema,
+  createCategorySchema,
+  deleteCategorySchema,
+  updateCategorySchema,
+} from "./../validators/categoryValidators.js";
 
 const router = express.Router();
 
@@ -16,6 +23,7 @@ router.post(
   "/create-category",
   requireSignIn,
   isAdmin,
+  validate(createCategorySchema),
   createCategoryController
 );
 
@@ -24,6 +32,7 @@ router.put(
   "/update-category/:id",
   requireSignIn,
   isAdmin,
+  validate(updateCategorySchema),
   updateCategoryController
 );
 
@@ -31,13 +40,18 @@ router.put(
 router.get("/get-category", categoryControlller);
 
 //single category
-router.get("/single-category/:slug", singleCategoryController);
+router.get(
+  "/single-category/:slug",
+  validate(categorySlugSchema),
+  singleCategoryController
+);
 
 //delete category
 router.delete(
   "/delete-category/:id",
   requireSignIn,
   isAdmin,
+  validate(deleteCategorySchema),
   deleteCategoryCOntroller
 );
 
@@ -0,0 +1,59 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  applyCouponController,
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  updateCouponController,
+} from "../controllers/couponController.js";
+import { validate } from "../middlewares/validateMiddleware.js";
+import {
+  applyCouponSchema,
+  createCouponSchema,
+  deleteCouponSchema,
+  updateCouponSchema,
+} from "../validators/couponValidators.js";
+
+const router = express.Router();
+
+//routes
+// create coupon
+router.post(
+  "/create-coupon",
+  requireSignIn,
+  isAdmin,
+  validate(createCouponSchema),
+  createCouponController
+);
+
+//update coupon
+router.put(
+  "/update-coupon/:id",
+  requireSignIn,
+  isAdmin,
+  validate(updateCouponSchema),
+  updateCouponController
+);
+
+//get all coupons
+router.get("/get-coupons", requireSignIn, isAdmin, getCouponsController);
+
+//delete coupon
+router.delete(
+  "/delete-coupon/:id",
+  requireSignIn,
+  isAdmin,
+  validate(deleteCouponSchema),
+  deleteCouponController
+);
+
+//check a code against the cart
+router.post(
+  "/apply-coupon",
+  requireSignIn,
+  validate(applyCouponSchema),
+  applyCouponController
+);
+
+export default router;
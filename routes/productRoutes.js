@@ -1,22 +1,45 @@
 import express from "express";
 import {
+  addImagesController,
   brainTreePaymentController,
   braintreeTokenController,
+  catalogController,
   createProductController,
+  deleteImageController,
   deleteProductController,
   getProductController,
   getSingleProductController,
+  priceRangesController,
   productCategoryController,
-  productCountController,
-  productFiltersController,
-  productListController,
+  productImageController,
   productPhotoController,
   realtedProductController,
+  reorderImagesController,
   searchProductController,
+  searchSuggestionsController,
   updateProductController,
 } from "../controllers/productController.js";
 import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validateMiddleware.js";
 import formidable from "express-formidable";
+import {
+  addImagesSchema,
+  catalogSchema,
+  createProductSchema,
+  deleteImageSchema,
+  paymentSchema,
+  priceRangesSchema,
+  productCategorySchema,
+  productIdSchema,
+  productImageSchema,
+  productPhotoSchema,
+  productSlugSchema,
+  relatedProductSchema,
+  reorderImagesSchema,
+  searchProductSchema,
+  searchSuggestionsSchema,
+  updateProductSchema,
+} from "../validators/productValidators.js";
 
 const router = express.Router();
 
@@ -25,7 +48,8 @@ router.post(
   "/create-product",
   requireSignIn,
   isAdmin,
-  formidable(),
+  formidable({ multiples: true }),
+  validate(createProductSchema),
   createProductController
 );
 //routes
@@ -34,6 +58,7 @@ router.put(
   requireSignIn,
   isAdmin,
   formidable(),
+  validate(updateProductSchema),
   updateProductController
 );
 
@@ -41,37 +66,103 @@ router.put(
 router.get("/get-product", getProductController);
 
 //single product
-router.get("/get-product/:slug", getSingleProductController);
+router.get(
+  "/get-product/:slug",
+  validate(productSlugSchema),
+  getSingleProductController
+);
 
 //get photo
-router.get("/product-photo/:pid", productPhotoController);
+router.get(
+  "/product-photo/:pid",
+  validate(productPhotoSchema),
+  productPhotoController
+);
 
-//delete rproduct
-router.delete("/delete-product/:pid", deleteProductController);
+//get image
+router.get(
+  "/product-image/:id",
+  validate(productImageSchema),
+  productImageController
+);
 
-//filter product
-router.post("/product-filters", productFiltersController);
+//add images
+router.post(
+  "/add-images/:pid",
+  requireSignIn,
+  isAdmin,
+  formidable({ multiples: true }),
+  validate(addImagesSchema),
+  addImagesController
+);
 
-//product count
-router.get("/product-count", productCountController);
+//reorder images
+router.put(
+  "/reorder-images/:pid",
+  requireSignIn,
+  isAdmin,
+  validate(reorderImagesSchema),
+  reorderImagesController
+);
 
-//product per page
-router.get("/product-list/:page", productListController);
+//delete image
+router.delete(
+  "/delete-image/:pid/:imageId",
+  requireSignIn,
+  isAdmin,
+  validate(deleteImageSchema),
+  deleteImageController
+);
+
+//delete rproduct
+router.delete(
+  "/delete-product/:pid",
+  requireSignIn,
+  isAdmin,
+  validate(productIdSchema),
+  deleteProductController
+);
+
+//catalogue with filters, sort and facet counts
+router.get("/catalog", validate(catalogSchema), catalogController);
+
+//price ranges for the catalogue filters
+router.get("/price-ranges", validate(priceRangesSchema), priceRangesController);
 
 //search product
-router.get("/search/:keyword", searchProductController);
+router.get("/search", validate(searchProductSchema), searchProductController);
+
+//search suggestions
+router.get(
+  "/search-suggestions",
+  validate(searchSuggestionsSchema),
+  searchSuggestionsController
+);
 
 //similar product
-router.get("/related-product/:pid/:cid", realtedProductController);
+router.get(
+  "/related-product/:pid/:cid",
+  validate(relatedProductSchema),
+  realtedProductController
+);
 
 //category wise product
-router.get("/product-category/:slug", productCategoryController);
+router.get(
+  "/product-category/:slug",
+  validate(productCategorySchema),
+  productCategoryController
+);
 
 //payments routes
 //token
 router.get("/braintree/token", braintreeTokenController);
 
 //payments
-router.post("/braintree/payment", requireSignIn, brainTreePaymentController);
+router.post(
+  "/braintree/payment",
+  requireSignIn,
+  validate(paymentSchema),
+  brainTreePaymentController
+);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,81 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  allProductReviewsController,
+  createReviewController,
+  deleteReviewController,
+  hideReviewController,
+  myReviewController,
+  productReviewsController,
+  updateReviewController,
+} from "../controllers/reviewController.js";
+import { validate } from "../middlewares/validateMiddleware.js";
+import {
+  createReviewSchema,
+  deleteReviewSchema,
+  hideReviewSchema,
+  productReviewsSchema,
+  updateReviewSchema,
+} from "../validators/reviewValidators.js";
+
+const router = express.Router();
+
+//routes
+//reviews of a product
+router.get(
+  "/product-reviews/:pid",
+  validate(productReviewsSchema),
+  productReviewsController
+);
+
+//all reviews of a product including hidden
+router.get(
+  "/all-reviews/:pid",
+  requireSignIn,
+  isAdmin,
+  validate(productReviewsSchema),
+  allProductReviewsController
+);
+
+//own review of a product
+router.get(
+  "/my-review/:pid",
+  requireSignIn,
+  validate(productReviewsSchema),
+  myReviewController
+);
+
+//create review
+router.post(
+  "/create-review/:pid",
+  requireSignIn,
+  validate(createReviewSchema),
+  createReviewController
+);
+
+//update review
+router.put(
+  "/update-review/:id",
+  requireSignIn,
+  validate(updateReviewSchema),
+  updateReviewController
+);
+
+//delete review
+router.delete(
+  "/delete-review/:id",
+  requireSignIn,
+  validate(deleteReviewSchema),
+  deleteReviewController
+);
+
+//hide review
+router.put(
+  "/hide-review/:id",
+  requireSignIn,
+  isAdmin,
+  validate(hideReviewSchema),
+  hideReviewController
+);
+
+export default router;
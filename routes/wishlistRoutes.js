@@ -0,0 +1,36 @@
+import express from "express";
+import { requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  addWishlistItemController,
+  getWishlistController,
+  removeWishlistItemController,
+} from "../controllers/wishlistController.js";
+import { validate } from "../middlewares/validateMiddleware.js";
+import {
+  addWishlistItemSchema,
+  removeWishlistItemSchema,
+} from "../validators/wishlistValidators.js";
+
+const router = express.Router();
+
+//routes
+//get wishlist
+router.get("/get-wishlist", requireSignIn, getWishlistController);
+
+//add item
+router.post(
+  "/add-item",
+  requireSignIn,
+  validate(addWishlistItemSchema),
+  addWishlistItemController
+);
+
+//remove item
+router.delete(
+  "/remove-item/:pid",
+  requireSignIn,
+  validate(removeWishlistItemSchema),
+  removeWishlistItemController
+);
+
+export default router;
@@ -0,0 +1,73 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import slugify from "slugify";
+import connectDB from "../config/db.js";
+import categoryModel from "../models/categoryModel.js";
+
+// one-off: categories created before names and slugs were unique can share
+// them, and the unique indexes cannot be built over them. the first of two
+// categories with the same name keeps it, the later one becomes "name 2",
+// "name 3"... and a slug another category already has is numbered the same way
+dotenv.config();
+
+// the indexes are built once the names are fixed, not on connect
+mongoose.set("autoIndex", false);
+
+// the value itself while no earlier category claimed it, else the value
+// numbered with the first number no category has
+const firstFree = (value, claimed, taken, numbered) => {
+  let free = value;
+  if (claimed.has(value)) {
+    for (let i = 2; taken.has(free); i++) free = numbered(value, i);
+  }
+  taken.add(free);
+  claimed.add(free);
+  return free;
+};
+
+const migrate = async () => {
+  await connectDB();
+  // the oldest category keeps the name
+  const categories = await categoryModel.collection
+    .find({}, { projection: { name: 1, slug: 1 } })
+    .sort({ _id: 1 })
+    .toArray();
+  const names = categories.map((c) => String(c.name || "").trim());
+  const takenNames = new Set(names);
+  const takenSlugs = new Set(
+    categories.map((c) => String(c.slug || "").toLowerCase())
+  );
+  const claimedNames = new Set();
+  const claimedSlugs = new Set();
+  let count = 0;
+
+  for (const [i, category] of categories.entries()) {
+    const name = firstFree(
+      names[i] || "Category",
+      claimedNames,
+      takenNames,
+      (value, n) => `${value} ${n}`
+    );
+    // a renamed category gets the slug of its new name, numbered if any
+    // category has that slug
+    const kept = name === category.name && category.slug;
+    const slug = firstFree(
+      kept ? category.slug.toLowerCase() : slugify(name, { lower: true }),
+      kept ? claimedSlugs : takenSlugs,
+      takenSlugs,
+      (value, n) => `${value}-${n}`
+    );
+    if (name === category.name && slug === category.slug) continue;
+    await categoryModel.collection.updateOne(
+      { _id: category._id },
+      { $set: { name, slug } }
+    );
+    count += 1;
+  }
+  console.log(`Updated ${count} categories`);
+
+  await categoryModel.createIndexes();
+  await mongoose.disconnect();
+};
+
+migrate();
@@ -0,0 +1,74 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+
+// one-off: orders placed before order lines had a quantity kept every unit
+// bought as a bare product id. turn those into lines with a quantity, and
+// give every line without a name and price the product's own, so orders
+// still show what was bought once the product is deleted
+dotenv.config();
+
+const migrateOrder = async (order) => {
+  const lines = [];
+  let changed = false;
+  (order.products || []).forEach((line) => {
+    if (line.product) {
+      lines.push(line);
+      return;
+    }
+    changed = true;
+    const same = lines.find(
+      (l) => !l.variant && String(l.product) === String(line)
+    );
+    if (same) {
+      same.quantity += 1;
+    } else {
+      lines.push({
+        _id: new mongoose.Types.ObjectId(),
+        product: line,
+        quantity: 1,
+      });
+    }
+  });
+
+  const products = await productModel
+    .find({ _id: { $in: lines.map((line) => line.product) } })
+    .select("name price");
+  lines.forEach((line) => {
+    const product = products.find(
+      (p) => String(p._id) === String(line.product)
+    );
+    if (line.name === undefined && product) {
+      line.name = product.name;
+      changed = true;
+    }
+    // the price paid was never kept, the current price is the best guess
+    if (line.unitPrice === undefined) {
+      line.unitPrice = product?.price || 0;
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    await orderModel.collection.updateOne(
+      { _id: order._id },
+      { $set: { products: lines } }
+    );
+  }
+  return changed;
+};
+
+const migrate = async () => {
+  await connectDB();
+  let count = 0;
+  // the raw collection, the schema would not read the bare ids
+  for await (const order of orderModel.collection.find({})) {
+    if (await migrateOrder(order)) count += 1;
+  }
+  console.log(`Updated ${count} orders`);
+  await mongoose.disconnect();
+};
+
+migrate();
@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import productModel from "../models/productModel.js";
+
+// one-off: products created before slugs were unique and lowercase can share
+// a slug or have capitals in it, and the unique index cannot be built over
+// them. lowercase every slug, give the later of two products with the same
+// slug "slug-2", "slug-3"... and keep the old slug so old links redirect
+dotenv.config();
+
+// the index is built once the slugs are fixed, not on connect
+mongoose.set("autoIndex", false);
+
+const migrate = async () => {
+  await connectDB();
+  // the oldest product keeps the slug
+  const products = await productModel.collection
+    .find({}, { projection: { slug: 1, previousSlugs: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+  const previous = new Set(products.flatMap((p) => p.previousSlugs || []));
+  const taken = new Set([
+    ...previous,
+    ...products.map((p) => String(p.slug || "").toLowerCase()),
+  ]);
+  const claimed = new Set();
+  let count = 0;
+
+  for (const product of products) {
+    const base = String(product.slug || "").toLowerCase() || "product";
+    let slug = base;
+    if (claimed.has(slug) || previous.has(slug)) {
+      for (let i = 2; taken.has(slug); i++) slug = `${base}-${i}`;
+      taken.add(slug);
+    }
+    claimed.add(slug);
+    if (slug === product.slug) continue;
+    const update = { $set: { slug } };
+    if (product.slug) update.$addToSet = { previousSlugs: product.slug };
+    await productModel.collection.updateOne({ _id: product._id }, update);
+    count += 1;
+  }
+  console.log(`Updated ${count} product slugs`);
+
+  await productModel.createIndexes();
+  await mongoose.disconnect();
+};
+
+migrate();
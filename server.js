@@ -6,6 +6,11 @@ import connectDB from "./config/db.js";
 import authRoutes from './routes/authRoute.js'
 import categoryRoutes from './routes/categoryRoutes.js'
 import productRoutes from './routes/productRoutes.js'
+import cartRoutes from './routes/cartRoutes.js'
+import couponRoutes from './routes/couponRoutes.js'
+import reviewRoutes from './routes/reviewRoutes.js'
+import wishlistRoutes from './routes/wishlistRoutes.js'
+import { errorHandler, notFound } from './middlewares/errorMiddleware.js'
 import cors from "cors";
 
 // configure env
@@ -25,6 +30,10 @@ app.use(morgan('dev'));
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/category", categoryRoutes);
 app.use("/api/v1/product", productRoutes);
+app.use("/api/v1/cart", cartRoutes);
+app.use("/api/v1/coupon", couponRoutes);
+app.use("/api/v1/review", reviewRoutes);
+app.use("/api/v1/wishlist", wishlistRoutes);
 
 // rest api
 
@@ -32,6 +41,10 @@ app.get('/', (req,res) => {
     res.send("<h1>Welcome to ecommerce app</h1>");
 });
 
+//errors
+app.use("/api", notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 6060;
 
 app.listen(PORT, () => {
@@ -0,0 +1,106 @@
+const id = { type: "objectId", required: true };
+const password = { type: "string", required: true, minLength: 6 };
+
+export const registerSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true },
+    password,
+    phone: { type: "phone", required: true },
+    address: { type: "string", required: true, maxLength: 500 },
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: { type: "email", required: true },
+    password: { type: "string", required: true },
+  },
+};
+
+export const refreshSchema = {
+  body: {
+    refreshToken: { type: "string", required: true, label: "Refresh token" },
+  },
+};
+
+export const logoutSchema = {
+  body: {
+    refreshToken: { type: "string", label: "Refresh token" },
+  },
+};
+
+export const forgotPasswordSchema = {
+  body: {
+    email: { type: "email", required: true },
+  },
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: { type: "string", required: true },
+    newPassword: { ...password, label: "New Password" },
+  },
+};
+
+export const updateProfileSchema = {
+  body: {
+    name: { type: "string", maxLength: 100 },
+    password: { ...password, required: false },
+    phone: { type: "phone" },
+    address: { type: "string", maxLength: 500 },
+  },
+};
+
+export const cancelOrderSchema = {
+  params: { orderId: { ...id, label: "Order id" } },
+  body: {
+    reason: { type: "string", required: true, minLength: 1, maxLength: 500 },
+  },
+};
+
+export const orderStatusSchema = {
+  params: { orderId: { ...id, label: "Order id" } },
+  body: {
+    status: {
+      type: "string",
+      required: true,
+      enum: ["Not Process", "Processing", "Shipped", "deliverd", "cancel"],
+    },
+    reason: { type: "string", maxLength: 500 },
+    shipment: {
+      type: "object",
+      fields: {
+        carrier: { type: "string" },
+        trackingNumber: { type: "string", label: "Tracking number" },
+        shippedAt: { type: "date", label: "Shipped date" },
+        estimatedDelivery: { type: "date", label: "Estimated delivery" },
+      },
+    },
+  },
+};
+
+export const allUsersSchema = {
+  query: {
+    page: { type: "integer", min: 1 },
+    search: { type: "string", maxLength: 100 },
+  },
+};
+
+export const userIdSchema = {
+  params: { id },
+};
+
+export const userRoleSchema = {
+  params: { id },
+  body: {
+    role: { type: "integer", required: true, enum: [0, 1] },
+  },
+};
+
+export const userStatusSchema = {
+  params: { id },
+  body: {
+    disabled: { type: "boolean", required: true },
+  },
+};
@@ -0,0 +1,32 @@
+const pid = { type: "objectId", required: true, label: "Product id" };
+// left out for products sold without variants
+const vid = { type: "objectId", label: "Variant id" };
+const quantity = { type: "integer", positive: true };
+
+export const addCartItemSchema = {
+  body: {
+    productId: { ...pid, label: "Product" },
+    variantId: { ...vid, label: "Variant" },
+    quantity,
+  },
+};
+
+export const updateCartItemSchema = {
+  params: { pid, vid },
+  body: { quantity: { ...quantity, required: true } },
+};
+
+export const removeCartItemSchema = {
+  params: { pid, vid },
+};
+
+// the guest lines themselves are checked one by one, bad ones are dropped
+export const mergeCartSchema = {
+  body: {
+    cart: { type: "array", required: true, items: { type: "object" } },
+  },
+};
+
+export const userCartSchema = {
+  params: { userId: { type: "objectId", required: true, label: "User id" } },
+};
@@ -0,0 +1,23 @@
+const name = { type: "string", required: true, minLength: 1, maxLength: 50 };
+// left out for a top level category
+const parent = { type: "objectId" };
+
+export const createCategorySchema = {
+  body: { name, parent },
+};
+
+export const updateCategorySchema = {
+  params: { id: { type: "objectId", required: true } },
+  body: { name, parent },
+};
+
+export const categorySlugSchema = {
+  params: { slug: { type: "string", required: true, maxLength: 100 } },
+};
+
+export const deleteCategorySchema = {
+  params: { id: { type: "objectId", required: true } },
+  query: {
+    moveTo: { type: "objectId", label: "Category to move products to" },
+  },
+};
@@ -0,0 +1,39 @@
+const id = { type: "objectId", required: true, label: "Coupon id" };
+
+// an empty limit or category clears it
+const couponFields = {
+  code: { type: "string", minLength: 1, maxLength: 30 },
+  type: { type: "string", enum: ["percentage", "fixed"] },
+  value: { type: "number", positive: true },
+  minCartTotal: { type: "number", min: 0, label: "Minimum cart total" },
+  expiresAt: { type: "date", label: "Expiry date" },
+  usageLimit: { type: "integer", positive: true, label: "Usage limit" },
+  perUserLimit: { type: "integer", positive: true, label: "Per user limit" },
+  category: { type: "objectId" },
+  active: { type: "boolean" },
+};
+
+export const createCouponSchema = {
+  body: {
+    ...couponFields,
+    code: { ...couponFields.code, required: true },
+    type: { ...couponFields.type, required: true },
+    value: { ...couponFields.value, required: true },
+  },
+};
+
+export const updateCouponSchema = {
+  params: { id },
+  body: couponFields,
+};
+
+export const deleteCouponSchema = {
+  params: { id },
+};
+
+export const applyCouponSchema = {
+  body: {
+    code: { type: "string", required: true, minLength: 1, maxLength: 30 },
+    cart: { type: "array" },
+  },
+};
@@ -0,0 +1,137 @@
+import { IMAGE_SIZES, MAX_PRODUCT_IMAGES } from "../helpers/imageHelper.js";
+import { CATALOG_SORTS } from "../helpers/catalogHelper.js";
+
+const IMAGE_SIZE_NAMES = [...Object.keys(IMAGE_SIZES), "original"];
+const pid = { type: "objectId", required: true, label: "Product id" };
+const slug = { type: "string", required: true, maxLength: 200 };
+
+// create and update send the same multipart form
+const productFields = {
+  name: { type: "string", required: true, maxLength: 200 },
+  description: { type: "string", required: true, maxLength: 5000 },
+  // price and quantity come from the variants when there are any
+  price: { type: "number", positive: true },
+  category: { type: "objectId", required: true },
+  // stock runs down to 0 on its own, so 0 has to stay editable
+  quantity: { type: "integer", min: 0 },
+  shipping: { type: "boolean" },
+  // json lists, checked in full by variantFields
+  options: { type: "string", maxLength: 5000 },
+  variants: { type: "string", maxLength: 100000 },
+};
+
+const images = {
+  type: "file",
+  maxSize: 5000000,
+  maxCount: MAX_PRODUCT_IMAGES,
+};
+
+export const createProductSchema = {
+  fields: productFields,
+  files: { images },
+};
+
+export const updateProductSchema = {
+  params: { pid },
+  fields: productFields,
+};
+
+export const addImagesSchema = {
+  params: { pid },
+  files: { images: { ...images, required: true } },
+};
+
+export const reorderImagesSchema = {
+  params: { pid },
+  body: {
+    images: {
+      type: "array",
+      required: true,
+      items: { type: "objectId" },
+    },
+  },
+};
+
+export const deleteImageSchema = {
+  params: {
+    pid,
+    imageId: { type: "objectId", required: true, label: "Image id" },
+  },
+};
+
+export const productPhotoSchema = {
+  params: { pid },
+  query: { size: { type: "string", enum: IMAGE_SIZE_NAMES } },
+};
+
+export const productImageSchema = {
+  params: { id: { type: "objectId", required: true, label: "Image id" } },
+  query: { size: { type: "string", enum: IMAGE_SIZE_NAMES } },
+};
+
+export const productSlugSchema = {
+  params: { slug },
+};
+
+export const productCategorySchema = {
+  params: { slug },
+  query: { subcategories: { type: "boolean" } },
+};
+
+export const productIdSchema = {
+  params: { pid },
+};
+
+const catalogFilters = {
+  categories: { type: "string", maxLength: 2500 },
+  minPrice: { type: "number", min: 0, label: "Minimum price" },
+  maxPrice: { type: "number", min: 0, label: "Maximum price" },
+  inStock: { type: "boolean", label: "In stock" },
+  shipping: { type: "boolean" },
+  rating: { type: "number", min: 0, max: 5 },
+};
+
+export const catalogSchema = {
+  query: {
+    ...catalogFilters,
+    sort: { type: "string", enum: Object.keys(CATALOG_SORTS) },
+    page: { type: "integer", min: 1 },
+  },
+};
+
+export const priceRangesSchema = {
+  query: catalogFilters,
+};
+
+export const searchProductSchema = {
+  query: {
+    keyword: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    page: { type: "integer", min: 1 },
+  },
+};
+
+export const searchSuggestionsSchema = {
+  query: {
+    prefix: { type: "string", required: true, minLength: 1, maxLength: 50 },
+  },
+};
+
+export const relatedProductSchema = {
+  params: {
+    pid,
+    cid: { type: "objectId", required: true, label: "Category id" },
+  },
+};
+
+export const paymentSchema = {
+  body: {
+    nonce: { type: "string", required: true },
+    cart: {
+      type: "array",
+      required: true,
+      minLength: 1,
+      items: { type: "object" },
+    },
+    couponCode: { type: "string", label: "Coupon code" },
+  },
+};
@@ -0,0 +1,33 @@
+const pid = { type: "objectId", required: true, label: "Product id" };
+const id = { type: "objectId", required: true, label: "Review id" };
+
+const reviewFields = {
+  rating: { type: "integer", min: 1, max: 5 },
+  comment: { type: "string", maxLength: 2000 },
+};
+
+export const productReviewsSchema = {
+  params: { pid },
+};
+
+export const createReviewSchema = {
+  params: { pid },
+  body: {
+    ...reviewFields,
+    rating: { ...reviewFields.rating, required: true },
+  },
+};
+
+export const updateReviewSchema = {
+  params: { id },
+  body: reviewFields,
+};
+
+export const deleteReviewSchema = {
+  params: { id },
+};
+
+export const hideReviewSchema = {
+  params: { id },
+  body: { hidden: { type: "boolean", required: true } },
+};
@@ -0,0 +1,9 @@
+const pid = { type: "objectId", required: true, label: "Product id" };
+
+export const addWishlistItemSchema = {
+  body: { productId: { ...pid, label: "Product" } },
+};
+
+export const removeWishlistItemSchema = {
+  params: { pid },
+};